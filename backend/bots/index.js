@@ -0,0 +1,82 @@
+// Built-in domain bots. Each definition owns its prompt template so the browser only sends the
+// user's message; `system()` receives { language, message, location, date } and returns the instruction.
+// `semanticCache` lets a bot answer near-duplicate questions (e.g. daily crop prices) from the semantic cache.
+
+const PRICE_QUERY = /(price|rate|मूल्य|दर|விலை|ధర|قیمت)/i;
+
+const BOTS = {
+  medical: {
+    name: 'Medical Assistant',
+    system: ({ language }) => `You are a medical expert. Respond in ${language}.
+Include:
+- Symptom analysis
+- First-aid measures
+- When to consult a doctor
+- Preventive measures
+- Home remedies
+- Medication warnings
+Generate at most 10 lines.
+Always add disclaimer: "Not a substitute for professional medical advice"`
+  },
+
+  legal: {
+    name: 'Legal Assistant',
+    system: ({ language }) => `You are a legal expert. Respond in ${language}.
+Include:
+- Legal provisions
+- Contract analysis
+- Compliance requirements
+- Dispute resolution options
+- Documentation guidance
+- Risk assessment
+Always add disclaimer: "Not a substitute for professional legal advice"`
+  },
+
+  education: {
+    name: 'Education Assistant',
+    semanticCache: true,
+    system: ({ language }) => `You are an education expert. Respond in ${language}.
+Include:
+- Learning resources
+- Study techniques
+- Course recommendations
+- Skill development paths
+- Exam preparation tips
+- Educational technology tools
+Always add disclaimer: "Verify with official sources"`
+  },
+
+  farming: {
+    name: 'Kisan Saathi',
+    semanticCache: true,
+    system: ({ language, message, location, date }) => {
+      const where = location
+        ? `User location: ${location.lat},${location.lng}.`
+        : 'No user location: use national averages.';
+
+      return PRICE_QUERY.test(message)
+        ? `You are an agricultural market analyst. Respond in ${language}. ${where}
+Date: ${date}
+For the crop the user asks about, give:
+- Current ₹/kg price
+- Price trend
+- Nearest market rates
+- MSP comparison
+- Key factors
+- Government schemes
+Keep the response within 10 concise points.`
+        : `You are an agricultural expert. Respond in ${language} in at most 18 lines. ${where}
+Include:
+- Practical steps
+- Local materials
+- Cost range
+- Best timing
+- Safety tips`;
+    },
+    isPriceQuery: (message) => PRICE_QUERY.test(message)
+  }
+};
+
+const getBot = (botId) => (Object.prototype.hasOwnProperty.call(BOTS, botId) ? BOTS[botId] : null);
+
+module.exports = { BOTS, getBot };
@@ -0,0 +1,92 @@
+const { postJson } = require('../providers/http');
+
+// Prompt embeddings for the semantic cache. The default is a local hashed bag-of-words model,
+// so near-duplicate detection works offline; SEMANTIC_EMBEDDER=openai uses an embeddings endpoint instead.
+const DIMENSIONS = 512;
+
+const STOPWORDS = new Set(
+  ('a an the is are was were be been am of to and or what whats how much many it its ' +
+   'this that these those me my i you your please tell give show can could would will do does did').split(' ')
+);
+
+// Prepositions and negations flip what is asked ("urea in rain" vs "before rain"), so they weigh double
+const RELATIONS = new Set(
+  ('in on at by for with without before after during until since instead about against under over ' +
+   'not no never').split(' ')
+);
+
+// Words that mean the same thing to the domain bots
+const SYNONYMS = {
+  rate: 'price', rates: 'price', cost: 'price', costs: 'price', prices: 'price', value: 'price',
+  now: 'today', current: 'today', currently: 'today', latest: 'today',
+  kisan: 'farmer', farmers: 'farmer', crops: 'crop'
+};
+
+const normalizeWord = (word) => {
+  const base = word.replace(/'s$/, '');
+  if (SYNONYMS[base]) return SYNONYMS[base];
+  // Light stemming so plurals and verb forms line up
+  return base.length > 4 ? base.replace(/(ing|ed|es|s)$/, '') : base;
+};
+
+const tokenize = (text) =>
+  String(text).toLowerCase()
+    .match(/[\p{L}\p{N}']+/gu)?.map(normalizeWord).filter(word => word && !STOPWORDS.has(word)) || [];
+
+// FNV-1a, folded into the vector size
+const bucket = (feature) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    h ^= feature.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % DIMENSIONS;
+};
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+};
+
+// Whole words carry most of the weight; character trigrams tolerate typos and inflections
+function localEmbedding(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  for (const word of tokenize(text)) {
+    if (RELATIONS.has(word)) {
+      vector[bucket(`w:${word}`)] += 2;
+      continue;
+    }
+    vector[bucket(`w:${word}`)] += 1;
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) vector[bucket(`t:${padded.slice(i, i + 3)}`)] += 0.25;
+  }
+  return normalize(vector);
+}
+
+async function openaiEmbedding(text) {
+  const data = await postJson(`${process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'}/embeddings`, {
+    label:   'embeddings',
+    timeout: 10000,
+    headers: { 'Authorization': `Bearer ${process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY}` },
+    body:    { model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small', input: text }
+  });
+  const vector = data?.data?.[0]?.embedding;
+  if (!Array.isArray(vector)) throw new Error('Embeddings API returned no vector');
+  return normalize(vector);
+}
+
+const EMBEDDERS = { local: async (text) => localEmbedding(text), openai: openaiEmbedding };
+
+function registerEmbedder(name, embedder) {
+  if (typeof embedder !== 'function') throw new Error(`Embedder ${name} must be a function`);
+  EMBEDDERS[name] = embedder;
+}
+
+const embedderName = () => (EMBEDDERS[process.env.SEMANTIC_EMBEDDER] ? process.env.SEMANTIC_EMBEDDER : 'local');
+
+const embed = (text) => EMBEDDERS[embedderName()](text);
+
+// Vectors are unit length, so the dot product is the cosine similarity
+const cosine = (a, b) => (a.length === b.length ? a.reduce((sum, v, i) => sum + v * b[i], 0) : 0);
+
+module.exports = { embed, cosine, localEmbedding, registerEmbedder, embedderName };
@@ -0,0 +1,94 @@
+const hash = require('object-hash');
+const { LRUCache } = require('lru-cache');
+const { complete, stream } = require('../providers');
+const mongoStore = require('./mongoStore');
+
+// Two tiers: a bounded in-process LRU in front of an optional persistent store
+// (CACHE_STORE=mongo, or anything added with registerCacheStore).
+const CACHE = {
+  ttl:     parseInt(process.env.CACHE_TTL_MS) || 60 * 60 * 1000,
+  max:     parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+  maxSize: parseInt(process.env.CACHE_MAX_CHARS) || 20 * 1000 * 1000
+};
+
+const STORES = { mongo: mongoStore };
+
+const memory = new LRUCache({
+  max:             CACHE.max,
+  maxSize:         CACHE.maxSize,
+  ttl:             CACHE.ttl,
+  sizeCalculation: (value) => Math.max(value.content.length, 1)
+});
+
+const stats = { hits: 0, misses: 0 };
+
+function registerCacheStore(name, store) {
+  if (typeof store?.get !== 'function' || typeof store?.set !== 'function') {
+    throw new Error(`Cache store ${name} must implement get() and set()`);
+  }
+  STORES[name] = { name, ...store };
+}
+
+const persistentStore = () => STORES[process.env.CACHE_STORE];
+
+// Only options that change the generated text belong in the key; timeouts and mock delays don't
+function cacheKey({ model, messages, options = {} }) {
+  const { timeout, latency, tokenDelay, ...params } = options;
+  return hash({ model, messages, params });
+}
+
+async function lookup(key) {
+  const hit = memory.get(key);
+  if (hit) return hit;
+
+  const store = persistentStore();
+  if (!store) return undefined;
+  try {
+    const stored = await store.get(key);
+    if (stored) memory.set(key, stored);
+    return stored;
+  } catch (error) {
+    console.error(`Cache store ${store.name} read failed: ${error.message}`);
+    return undefined;
+  }
+}
+
+function save(key, value) {
+  memory.set(key, value);
+  const store = persistentStore();
+  store?.set(key, value, CACHE.ttl).catch(error =>
+    console.error(`Cache store ${store.name} write failed: ${error.message}`)
+  );
+}
+
+// complete()/stream() through the cache. Resolves to { content, cached }.
+// `noCache` skips the lookup but still stores the fresh answer, so it doubles as a refresh.
+async function cachedGenerate({ model, messages, options = {}, onToken, noCache = false }) {
+  const key = cacheKey({ model, messages, options });
+
+  if (!noCache) {
+    const hit = await lookup(key);
+    if (hit) {
+      stats.hits++;
+      onToken?.(hit.content);
+      return { content: hit.content, cached: true };
+    }
+  }
+  stats.misses++;
+
+  const request = { model, messages, options };
+  const { content } = onToken ? await stream({ ...request, onToken }) : await complete(request);
+  save(key, { model, content });
+  return { content, cached: false };
+}
+
+function cacheStats() {
+  return {
+    ...stats,
+    entries: memory.size,
+    store:   persistentStore()?.name || 'memory',
+    ttl:     CACHE.ttl
+  };
+}
+
+module.exports = { cachedGenerate, cacheKey, cacheStats, registerCacheStore };
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const CacheEntry = require('../models/cacheEntryModel');
+
+// Shared, restart-proof cache tier. Reads and writes are skipped while Mongo is disconnected
+// so a database outage only costs cache hits.
+const connected = () => mongoose.connection.readyState === 1;
+
+async function get(key) {
+  if (!connected()) return undefined;
+  const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  return entry?.value;
+}
+
+async function set(key, value, ttl) {
+  if (!connected()) return;
+  await CacheEntry.updateOne(
+    { key },
+    { key, modelId: value.model, value, expiresAt: new Date(Date.now() + ttl) },
+    { upsert: true }
+  );
+}
+
+module.exports = { name: 'mongo', get, set };
@@ -0,0 +1,49 @@
+const hash = require('object-hash');
+const { LRUCache } = require('lru-cache');
+const { embed, cosine, embedderName } = require('./embeddings');
+
+// Near-duplicate prompt cache. Answers are only reused inside a scope (same bot, system prompt
+// and conversation history), and only when the prompt embeddings are similar enough.
+const SEMANTIC = {
+  threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.85,
+  ttl:       parseInt(process.env.SEMANTIC_CACHE_TTL_MS) || parseInt(process.env.CACHE_TTL_MS) || 60 * 60 * 1000,
+  perScope:  parseInt(process.env.SEMANTIC_CACHE_PER_SCOPE) || 100,
+  scopes:    parseInt(process.env.SEMANTIC_CACHE_SCOPES) || 200
+};
+
+const scopes = new LRUCache({ max: SEMANTIC.scopes });
+const stats = { hits: 0, misses: 0 };
+
+const semanticScope = (parts) => hash(parts);
+
+// Best match for the prompt in its scope. Resolves to { hit, similarity, entry? }.
+async function semanticLookup({ scope, prompt, threshold = SEMANTIC.threshold }) {
+  const vector = await embed(prompt);
+  const entries = (scopes.get(scope) || []).filter(entry => entry.expiresAt > Date.now());
+
+  let best = null;
+  let similarity = 0;
+  entries.forEach(entry => {
+    const score = cosine(vector, entry.vector);
+    if (score > similarity) [best, similarity] = [entry, score];
+  });
+
+  const hit = Boolean(best) && similarity >= threshold;
+  stats[hit ? 'hits' : 'misses']++;
+  return { hit, similarity: Number(similarity.toFixed(3)), threshold, vector, ...(hit && { entry: best }) };
+}
+
+// `vector` can be passed back from the lookup to avoid embedding the prompt twice
+async function semanticStore({ scope, prompt, vector, answer, model, ...meta }) {
+  const entry = { ...meta, prompt, answer, model, vector: vector || await embed(prompt), expiresAt: Date.now() + SEMANTIC.ttl };
+  const entries = (scopes.get(scope) || []).filter(e => e.expiresAt > Date.now() && e.prompt !== prompt);
+  scopes.set(scope, [...entries, entry].slice(-SEMANTIC.perScope));
+}
+
+function semanticStats() {
+  let entries = 0;
+  scopes.forEach(list => { entries += list.length; });
+  return { ...stats, scopes: scopes.size, entries, threshold: SEMANTIC.threshold, embedder: embedderName() };
+}
+
+module.exports = { semanticLookup, semanticStore, semanticScope, semanticStats, SEMANTIC };
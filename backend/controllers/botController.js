@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const { getBot, BOTS } = require('../bots');
+const { languageName, isLanguage } = require('../language');
+const { routeAndGenerate, errorStatus, errorBody } = require('./mlcontroler');
+const { requestCost, validateCostOptions, COST } = require('../routing/cost');
+const { semanticScope } = require('../cache/semantic');
+const { listModels } = require('../utility/modelRegistry');
+const { loadConversation, saveTurn } = require('../utility/conversation');
+const Bot = require('../models/botModel');
+
+// Wrap a user's Bot document in the same shape as the built-in definitions
+const customBotDefinition = (doc) => ({
+  name:     doc.title,
+  language: doc.language,
+  models:   doc.preferredModels,
+  semanticCache: doc.semanticCache,
+  system:   ({ language }) => `${doc.instruction}\n\nRespond in ${language}.`
+});
+
+// Built-in bots are addressed by name, custom bots by id (owner only)
+const resolveBot = async (botId, user) => {
+  const builtIn = getBot(botId);
+  if (builtIn) return builtIn;
+  if (!mongoose.isValidObjectId(botId)) return null;
+
+  const doc = await Bot.findOne({ _id: botId, user: user._id });
+  return doc && customBotDefinition(doc);
+};
+
+// Validate the editable fields of a custom bot; returns an error message or null
+const validateBotFields = ({ title, instruction, preferredModels, semanticCache }, partial = false) => {
+  if (!partial || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) return 'Title is required';
+  }
+  if (!partial || instruction !== undefined) {
+    if (typeof instruction !== 'string' || !instruction.trim()) return 'Instruction is required';
+  }
+  if (preferredModels !== undefined) {
+    if (!Array.isArray(preferredModels)) return 'preferredModels must be an array';
+    const experts = listModels({ role: 'expert' }).map(m => m.id);
+    const unknown = preferredModels.filter(id => !experts.includes(id));
+    if (unknown.length) return `Unknown models: ${unknown.join(', ')}`;
+  }
+  if (semanticCache !== undefined && typeof semanticCache !== 'boolean') return 'semanticCache must be true or false';
+  return null;
+};
+
+// Schema limits (e.g. title or instruction length) are the client's mistake, not a server error
+const validationMessage = (error) =>
+  error instanceof mongoose.Error.ValidationError ? Object.values(error.errors)[0].message : null;
+
+const pickBotFields = ({ title, instruction, preferredModels, language, avatar, semanticCache }) =>
+  Object.fromEntries(
+    Object.entries({ title, instruction, preferredModels, language, avatar, semanticCache }).filter(([, v]) => v !== undefined)
+  );
+
+// Built-in bots plus the models a custom bot may prefer
+const listBots = (req, res) => {
+  res.json({
+    bots:   Object.entries(BOTS).map(([id, bot]) => ({ id, name: bot.name })),
+    models: listModels({ role: 'expert' }).map(({ id, expertise }) => ({ id, expertise }))
+  });
+};
+
+const createCustomBoat = async (req, res) => {
+  try {
+    const invalid = validateBotFields(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const bot = await Bot.create({ ...pickBotFields(req.body), user: req.user._id });
+    res.status(201).json({ bot });
+
+  } catch (error) {
+    const invalid = validationMessage(error);
+    if (invalid) return res.status(400).json({ error: invalid });
+    console.error(`Custom bot create error: ${error.message}`);
+    res.status(500).json({ error: 'Could not create bot' });
+  }
+};
+
+const listCustomBots = async (req, res) => {
+  try {
+    const bots = await Bot.find({ user: req.user._id }).sort({ updatedAt: -1 });
+    res.json({ bots });
+  } catch (error) {
+    console.error(`Custom bot list error: ${error.message}`);
+    res.status(500).json({ error: 'Could not load bots' });
+  }
+};
+
+const getCustomBot = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Bot not found' });
+    const bot = await Bot.findOne({ _id: req.params.id, user: req.user._id });
+    if (!bot) return res.status(404).json({ error: 'Bot not found' });
+
+    res.json({ bot });
+  } catch (error) {
+    console.error(`Custom bot load error: ${error.message}`);
+    res.status(500).json({ error: 'Could not load bot' });
+  }
+};
+
+const updateCustomBot = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Bot not found' });
+    const invalid = validateBotFields(req.body, true);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const bot = await Bot.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      pickBotFields(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!bot) return res.status(404).json({ error: 'Bot not found' });
+
+    res.json({ bot });
+  } catch (error) {
+    const invalid = validationMessage(error);
+    if (invalid) return res.status(400).json({ error: invalid });
+    console.error(`Custom bot update error: ${error.message}`);
+    res.status(500).json({ error: 'Could not update bot' });
+  }
+};
+
+const deleteCustomBot = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Bot not found' });
+    const bot = await Bot.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!bot) return res.status(404).json({ error: 'Bot not found' });
+
+    res.json({ msg: 'Bot deleted' });
+  } catch (error) {
+    console.error(`Custom bot delete error: ${error.message}`);
+    res.status(500).json({ error: 'Could not delete bot' });
+  }
+};
+
+// POST /api/bots/:botId/chat { message, language, conversationId?, location?, noCache?, budget?, strategy?, includeReasoning? }
+const botChat = async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const bot = await resolveBot(req.params.botId, req.user);
+    if (!bot) return res.status(404).json({ error: 'Unknown bot' });
+
+    const { message, location, noCache = false, budget, strategy: costStrategy = COST.strategy, includeReasoning = false } = req.body;
+    const language = req.body.language || bot.language || 'en';
+    if (!message?.trim()) return res.status(400).json({ error: 'Message required' });
+    const badCost = validateCostOptions({ budget, strategy: costStrategy });
+    if (badCost) return res.status(400).json({ error: badCost });
+
+    const context = await loadConversation({ ...req.body, prompt: message, user: req.user, bot: req.params.botId });
+    if (!context) return res.status(400).json({ error: 'messages must be an array of { role, content }' });
+
+    const validLocation = location && Number.isFinite(location.lat) && Number.isFinite(location.lng) ? location : null;
+    const system = bot.system({
+      language: languageName(language),
+      message,
+      location: validLocation,
+      date:     new Date().toLocaleDateString('en-IN')
+    });
+
+    const {
+      response, reasoning, cached, model, analysis, routing, fallback, semanticCache, language: answerLanguage, costEstimate
+    } = await routeAndGenerate({
+      prompt:   message,
+      history:  context.history,
+      system,
+      // Unknown codes get the English instruction, so that is what the answer is held to
+      language: isLanguage(language) ? language : 'en',
+      models:   bot.models,
+      noCache,
+      budget,
+      costStrategy,
+      // Answers are only shared between identical bot setups: same instruction and conversation so far
+      semantic: bot.semanticCache
+        ? { scope: semanticScope({ bot: req.params.botId, system, history: context.history }) }
+        : undefined
+    });
+
+    const result = {
+      response,
+      ...(includeReasoning && reasoning && { reasoning }),
+      cached,
+      ...(semanticCache && { semanticCache }),
+      bot:            req.params.botId,
+      model,
+      analysis,
+      routing,
+      ...(fallback && { fallback }),
+      language:       answerLanguage,
+      cost:           { ...requestCost(), estimate: costEstimate, strategy: costStrategy, ...(budget && { budget }) },
+      conversationId: context.conversationId,
+      isPrice:        bot.isPriceQuery ? bot.isPriceQuery(message) : false,
+      usedLocation:   Boolean(validLocation),
+      responseTime:   Date.now() - startTime
+    };
+    result.messageId = await saveTurn(context, message, response, {
+      modelId:  model.id,
+      reasoning,
+      analysis,
+      latency:  result.responseTime
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error(`Bot error: ${error.stack}`);
+    res.status(errorStatus(error)).json(errorBody(error, 'Processing failed'));
+  }
+};
+
+module.exports = {
+  listBots, botChat, createCustomBoat, listCustomBots, getCustomBot, updateCustomBot, deleteCustomBot
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversationModel');
+const Message = require('../models/messageModel');
+
+// Load a conversation only if it belongs to the signed-in user
+const findOwnConversation = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return Conversation.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+const listConversations = async (req, res) => {
+    try {
+        const filter = { user: req.user._id };
+        if (req.query.bot) filter.bot = req.query.bot;
+
+        const conversations = await Conversation.find(filter)
+            .sort({ updatedAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+
+        res.status(200).json({ conversations });
+    } catch (error) {
+        console.error('Error while listing conversations:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+const createConversation = async (req, res) => {
+    try {
+        const { title, bot, language } = req.body;
+        const conversation = await Conversation.create({ user: req.user._id, title, bot, language });
+
+        res.status(201).json({ conversation });
+    } catch (error) {
+        console.error('Error while creating conversation:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+const getConversation = async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req);
+        if (!conversation) {
+            return res.status(404).json({ msg: 'Conversation not found' });
+        }
+        const messages = await Message.find({ conversation: conversation._id, superseded: { $ne: true } }).sort({ createdAt: 1, _id: 1 });
+
+        res.status(200).json({ conversation, messages });
+    } catch (error) {
+        console.error('Error while loading conversation:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+const updateConversation = async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req);
+        if (!conversation) {
+            return res.status(404).json({ msg: 'Conversation not found' });
+        }
+
+        const { title, language } = req.body;
+        if (title !== undefined) conversation.title = title;
+        if (language !== undefined) conversation.language = language;
+        await conversation.save();
+
+        res.status(200).json({ conversation });
+    } catch (error) {
+        console.error('Error while updating conversation:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+const deleteConversation = async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req);
+        if (!conversation) {
+            return res.status(404).json({ msg: 'Conversation not found' });
+        }
+        await Message.deleteMany({ conversation: conversation._id });
+        await conversation.deleteOne();
+
+        res.status(200).json({ msg: 'Conversation deleted' });
+    } catch (error) {
+        console.error('Error while deleting conversation:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// Append messages produced outside the ML endpoints (e.g. the domain bots)
+const addMessages = async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req);
+        if (!conversation) {
+            return res.status(404).json({ msg: 'Conversation not found' });
+        }
+
+        const { messages } = req.body;
+        const valid = Array.isArray(messages) && messages.length &&
+            messages.every(m => ['user', 'assistant'].includes(m?.role) && typeof m.content === 'string' && m.content);
+        if (!valid) {
+            return res.status(400).json({ msg: 'messages must be a non-empty array of { role, content }' });
+        }
+
+        const saved = await Message.insertMany(messages.map(({ role, content, modelId, candidates, analysis, latency }) => ({
+            conversation: conversation._id, role, content, modelId, candidates, analysis, latency
+        })));
+        conversation.updatedAt = new Date();
+        await conversation.save();
+
+        res.status(201).json({ messages: saved });
+    } catch (error) {
+        console.error('Error while saving messages:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+module.exports = {
+    listConversations, createConversation, getConversation, updateConversation, deleteConversation, addMessages
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Feedback = require('../models/feedbackModel');
+const Message = require('../models/messageModel');
+const Conversation = require('../models/conversationModel');
+const { recordOutcome, categorize } = require('../routing');
+
+const RATINGS = ['up', 'down'];
+
+// Rate an assistant message in one of the caller's conversations; rating again replaces the earlier rating
+const submitFeedback = async (req, res) => {
+    try {
+        const { messageId, rating, reason } = req.body;
+        if (!mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ msg: 'A valid messageId is required' });
+        }
+        if (!RATINGS.includes(rating)) {
+            return res.status(400).json({ msg: 'rating must be "up" or "down"' });
+        }
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+            return res.status(400).json({ msg: 'reason must be a string of at most 500 characters' });
+        }
+
+        const message = await Message.findOne({ _id: messageId, role: 'assistant' });
+        const conversation = message && await Conversation.findOne({ _id: message.conversation, user: req.user._id });
+        if (!conversation) {
+            return res.status(404).json({ msg: 'Message not found' });
+        }
+        const question = await Message.findOne({ conversation: conversation._id, role: 'user', _id: { $lt: message._id } })
+            .sort({ _id: -1 });
+
+        const previous = await Feedback.findOne({ user: req.user._id, message: message._id });
+        const feedback = await Feedback.findOneAndUpdate(
+            { user: req.user._id, message: message._id },
+            {
+                conversation: conversation._id,
+                rating,
+                reason: reason?.trim() || '',
+                bot: conversation.bot,
+                modelId: message.modelId,
+                prompt: question?.content,
+                response: message.content,
+                candidates: message.candidates,
+                judge: message.judge
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        // Routed answers (those with a prompt analysis) also train the router, once per rated message
+        if (!previous && message.analysis && message.modelId) {
+            recordOutcome({ modelId: message.modelId, category: categorize(message.analysis), reward: rating === 'up' ? 1 : 0 });
+        }
+
+        res.status(previous ? 200 : 201).json({ feedback });
+    } catch (error) {
+        console.error('Error while saving feedback:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// Admin audit view: recent feedback plus thumbs-up rate per judge strategy and per model
+const listFeedback = async (req, res) => {
+    try {
+        const filter = {};
+        if (RATINGS.includes(req.query.rating)) filter.rating = req.query.rating;
+        if (req.query.model) filter.modelId = req.query.model;
+        if (req.query.bot) filter.bot = req.query.bot;
+        if (req.query.strategy) filter['judge.strategy'] = req.query.strategy;
+
+        const rate = (groupBy) => Feedback.aggregate([
+            { $match: filter },
+            { $group: {
+                _id: groupBy,
+                up: { $sum: { $cond: [{ $eq: ['$rating', 'up'] }, 1, 0] } },
+                down: { $sum: { $cond: [{ $eq: ['$rating', 'down'] }, 1, 0] } }
+            } },
+            { $sort: { down: -1 } }
+        ]);
+
+        const [feedback, byStrategy, byModel] = await Promise.all([
+            Feedback.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+                .populate('user', 'fullName email'),
+            rate('$judge.strategy'),
+            rate('$modelId')
+        ]);
+
+        res.status(200).json({
+            feedback,
+            summary: {
+                byStrategy: byStrategy.map(({ _id, ...counts }) => ({ strategy: _id || null, ...counts })),
+                byModel: byModel.map(({ _id, ...counts }) => ({ model: _id || null, ...counts }))
+            }
+        });
+    } catch (error) {
+        console.error('Error while listing feedback:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+module.exports = { submitFeedback, listFeedback };
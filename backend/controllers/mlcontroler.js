@@ -1,389 +1,861 @@
-const fetch = require('node-fetch');
-const { AbortController } = require('abort-controller');
-
-const modelCache = new Map();
-const MODEL_LIST = [
-    'meta/llama3-70b-instruct',
-    'google/gemma-7b',
-    'deepseek-ai/deepseek-r1-distill-llama-8b'
-];
+const { complete } = require('../providers');
+const { cachedGenerate, cacheStats } = require('../cache');
+const { semanticLookup, semanticStore, semanticStats } = require('../cache/semantic');
+const { openSSE, wantsStream } = require('../utility/sse');
+const { loadConversation, saveTurn, trimToContext, withoutLastExchange } = require('../utility/conversation');
+const { judgeCandidates, hasStrategy, DEFAULT_STRATEGY } = require('../judges');
+const { fuseCandidates, critiqueAndRevise } = require('../fusion');
+const { listModels, getModel } = require('../utility/modelRegistry');
+const { chooseModel, chooseByCost, rankModels, recordOutcome, routingTable, categorize } = require('../routing');
+const { estimateCallCost, requestCost, validateCostOptions, overBudget, roundUsd, COST } = require('../routing/cost');
+const { estimateTokens } = require('../providers/http');
+const { parseGenerationParams, fitToModel } = require('../utility/generationParams');
+const { splitReasoning, reasoningStream } = require('../utility/reasoning');
+const {
+    enforceLanguage, describeLanguage, detectLanguage, languageInstruction, validateLanguage, translatePrompt, usesPipeline, LANGUAGE
+} = require('../language');
+const { classifyPrompt } = require('../routing/classifier');
+const { fanOut: runFanOut } = require('../utility/fanout');
+const { isAvailable, healthStatus } = require('../providers/health');
+
+const FUSION_MODES = ['select', 'fuse'];
+const ANALYSIS_MODES = ['gemini', 'local', 'local-then-gemini-if-uncertain'];
+const FALLBACK_STEPS = ['next-best', 'cheapest', 'any'];
+
+// Failures the caller can act on get their own status and a readable message
+const CLIENT_ERRORS = { NO_HEALTHY_MODELS: 503, OVER_BUDGET: 400 };
+
+const errorStatus = (error) => CLIENT_ERRORS[error.code] || 500;
+
+const errorBody = (error, message) => (CLIENT_ERRORS[error.code]
+    ? { error: error.message, ...(error.cheapest !== undefined && { cheapest: error.cheapest }) }
+    : { error: message, ...(process.env.NODE_ENV === 'development' && { details: error.message }) });
 
 const judgeAndGenerate = async (req, res) => {
     const startTime = Date.now();
+    let sse = null;
     
     try {
-        const { prompt } = req.body;
+        const {
+            prompt,
+            judge: strategy = DEFAULT_STRATEGY,
+            mode = 'select',
+            revise = false,
+            excludeModels = [],
+            regenerate = false,
+            noCache = false,
+            deadline = CONFIG.fanOutDeadline,
+            firstN = CONFIG.fanOutFirstN,
+            hedgeAfter = CONFIG.hedgeAfter,
+            budget,
+            strategy: costStrategy = COST.strategy,
+            includeReasoning = false,
+            language,
+            translate
+        } = req.body;
         if (!prompt) {
             return res.status(400).json({ error: 'Prompt is required' });
         }
-
-        // Call models with retries and extended timeout
-        const modelPromises = MODEL_LIST.map(model => 
-            callModelWithRetry(model, prompt, 2)
+        if (!Array.isArray(excludeModels)) {
+            return res.status(400).json({ error: 'excludeModels must be an array of model ids' });
+        }
+        if (!hasStrategy(strategy)) {
+            return res.status(400).json({ error: `Unknown judge strategy: ${strategy}` });
+        }
+        if (!FUSION_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of ${FUSION_MODES.join(', ')}` });
+        }
+        const badTiming = Object.entries({ deadline, firstN, hedgeAfter }).find(([, v]) => !Number.isInteger(v) || v < 0);
+        if (badTiming) {
+            return res.status(400).json({ error: `${badTiming[0]} must be a non-negative integer (0 disables it)` });
+        }
+        const badCost = validateCostOptions({ budget, strategy: costStrategy });
+        if (badCost) {
+            return res.status(400).json({ error: badCost });
+        }
+        const { params, error: badParams } = parseGenerationParams(req.body);
+        if (badParams) {
+            return res.status(400).json({ error: badParams });
+        }
+        const badLanguage = validateLanguage(language);
+        if (badLanguage) {
+            return res.status(400).json({ error: badLanguage });
+        }
+        const context = await loadConversation({ ...req.body, user: req.user, bot: 'fusion' });
+        if (!context) {
+            return res.status(400).json({ error: 'messages must be an array of { role, content }' });
+        }
+        // "Regenerate with another model" leaves out the models that already answered
+        const requested = listModels({ role: 'candidate' }).map(m => m.id).filter(id => !excludeModels.includes(id));
+        if (!requested.length) {
+            return res.status(400).json({ error: 'No candidate models left after excludeModels' });
+        }
+        // Models with an open circuit would only fail or time out, so they sit this request out
+        const healthy = requested.filter(isAvailable);
+        const unhealthy = requested.filter(id => !healthy.includes(id));
+        if (!healthy.length) {
+            return res.status(503).json({ error: 'All candidate models are currently unavailable', unhealthy });
+        }
+        const history = regenerate ? withoutLastExchange(context.history, prompt) : context.history;
+        // Through the translation pipeline the candidates, judge and aggregator all work in English
+        const english = await englishPrompt(prompt, language, translate);
+        const question = english ? english.text : prompt;
+        const workingLanguage = english ? 'en' : language;
+        const system = systemPrompt(params.system, workingLanguage);
+        // The request's generation overrides, capped per model
+        const fitted = Object.fromEntries(healthy.map(id => [id, fitToModel(id, params, CONFIG.candidateOptions)]));
+        const plan = planFanOut({
+            models: healthy,
+            promptTokens: estimateTokens([system, ...history.map(m => m.content), question].filter(Boolean).join('\n')),
+            maxTokensFor: (id) => fitted[id].options.maxTokens,
+            mode,
+            revise,
+            budget,
+            costStrategy,
+            hedged: hedgeAfter > 0
+        });
+        const fanOut = plan.models;
+        if (wantsStream(req)) sse = openSSE(res);
+
+        // Each model sees as much of the conversation as its context window allows
+        const conversationFor = (model) => trimToContext(
+            [...(system ? [{ role: 'system', content: system }] : []), ...history, { role: 'user', content: question }],
+            getModel(model)?.context,
+            fitted[model].options.maxTokens
         );
 
-        const results = await Promise.allSettled(modelPromises);
-        const candidates = results
-            .map((result, idx) => result.status === 'fulfilled' && result.value 
-                ? { model: MODEL_LIST[idx], content: result.value }
-                : null)
-            .filter(Boolean);
+        // Call models with retries and extended timeout; in streaming mode report each candidate's progress.
+        // Hedged duplicates are single silent attempts so only the primary request streams tokens.
+        // When a hedge wins, the primary's streamed text is retracted and whatever it still streams is dropped.
+        const hedgeWon = new Set();
+        const streaming = (model, send) => (...args) => !hedgeWon.has(model) && send(...args);
+        const callCandidate = (model, { hedge }) => {
+            if (hedge) {
+                sse?.send('candidate-hedge', { model });
+                return callModel(model, conversationFor(model), { noCache, options: fitted[model].options });
+            }
+            sse?.send('candidate-start', { model });
+            return callModelWithRetry(model, conversationFor(model), 2, {
+                noCache,
+                options: fitted[model].options,
+                onToken: sse && streaming(model, (text) => sse.send('candidate-token', { model, text })),
+                onReasoning: sse && includeReasoning && streaming(model, (text) => sse.send('candidate-reasoning', { model, text })),
+                onRetract: sse && streaming(model, () => sse.send('candidate-retract', { model })),
+                onRetry: sse && ((attempt) => sse.send('candidate-retry', { model, attempt }))
+            });
+        };
+
+        const outcomes = await runFanOut({
+            models: fanOut,
+            call: callCandidate,
+            deadline,
+            firstN,
+            hedgeAfter,
+            onSettle: sse && (({ model, status, value, error, winner }) => {
+                if (status !== 'fulfilled') return sse.send('candidate-error', { model, error: error.message });
+                if (winner === 'hedge') {
+                    hedgeWon.add(model);
+                    sse.send('candidate-retract', { model });
+                    sse.send('candidate-token', { model, text: value.content });
+                }
+                sse.send('candidate-done', { model, length: value.content.length, cached: value.cached });
+            })
+        });
+        const fanOutTime = Date.now() - startTime;
+        const candidates = outcomes
+            .filter(o => o.status === 'fulfilled' && o.value.content)
+            .map(o => ({ model: o.model, ...o.value, latency: o.latency }));
+        const lateModels = outcomes.filter(o => o.status === 'late').map(o => o.model);
 
         if (!candidates.length) {
+            if (sse) {
+                sse.send('error', { error: 'All model calls failed' });
+                return sse.close();
+            }
             return res.status(500).json({ error: 'All model calls failed' });
         }
 
-        // Enhanced judgment with validation
-        const best = await judgeResponses(prompt, candidates);
-        
-        res.json({
-            bestResponse: best.content,
+        // Fuse mode falls back to picking a single answer if the aggregator fails
+        const best = (mode === 'fuse' && await fuseResponses({ prompt: question, candidates, revise, language: workingLanguage, sse }))
+            || await selectResponse({ prompt: question, candidates, strategy, language: workingLanguage, sse });
+        const judgeTime = Date.now() - startTime - fanOutTime;
+        // Another round of candidates would double the cost, so a wrong-language winner is only translated
+        const { answer: { content: workingResponse }, language: workingMeta } = await enforceLanguage({
+            answer: best,
+            requested: workingLanguage
+        });
+        const translated = english && await translateAnswer({ content: workingResponse, english, language, sse });
+        const bestResponse = translated ? translated.content : workingResponse;
+
+        const result = {
+            bestResponse,
             chosenModel: best.model,
+            mode: best.mode,
+            ...(best.mode !== mode && { requestedMode: mode }),
+            conversationId: context.conversationId,
             responseTime: Date.now() - startTime,
-            candidates: candidates.map(c => c.model)
-        });
+            candidates: candidates.map(c => c.model),
+            candidateResponses: candidates.map(({ model, content, reasoning, latency, cached }) => ({
+                model,
+                content,
+                latency,
+                cached,
+                language: detectLanguage(content)?.code || null,
+                ...(includeReasoning && reasoning && { reasoning })
+            })),
+            language: translated ? translated.language : workingMeta,
+            ...(translated && { translation: translated.translation }),
+            ...(includeReasoning && best.reasoning && { reasoning: best.reasoning }),
+            cacheHits: candidates.filter(c => c.cached).length,
+            ...(unhealthy.length && { skippedModels: unhealthy }),
+            ...(plan.skipped.length && { skippedForCost: plan.skipped }),
+            ...adjustedParams(fanOut.map(id => [id, fitted[id].adjusted])),
+            ...(lateModels.length && { lateModels }),
+            timings: {
+                fanOut: fanOutTime,
+                judge: judgeTime,
+                models: Object.fromEntries(outcomes.map(({ model, status, latency, hedged, winner }) =>
+                    [model, { status, latency, ...(hedged && { hedged, winner }) }]
+                ))
+            },
+            cost: { ...requestCost(), estimate: plan.estimate, strategy: costStrategy, ...(budget && { budget }) },
+            ...best.details
+        };
+        result.messageId = await saveTurn(context, prompt, bestResponse, {
+            modelId: best.model,
+            reasoning: best.reasoning,
+            candidates: result.candidates,
+            candidateResponses: candidates.map(({ model, content, latency }) => ({ modelId: model, content, latency })),
+            judge: result.judge,
+            latency: result.responseTime
+        }, { regenerate });
+        // Teach the router in the background; the caller doesn't wait for the extra analysis call
+        learnFromVerdict(question, candidates, best).catch(error => console.error(`Router update failed: ${error.message}`));
+
+        if (sse) {
+            sse.send('verdict', result);
+            return sse.close();
+        }
+        res.json(result);
 
     } catch (error) {
         console.error(`Request failed: ${error.message}`);
-        res.status(500).json({ 
-            error: 'Processing error',
-            ...(process.env.NODE_ENV === 'development' && { details: error.message })
-        });
+        const body = errorBody(error, 'Processing error');
+        if (sse) {
+            sse.send('error', body);
+            return sse.close();
+        }
+        res.status(errorStatus(error)).json(body);
     }
 };
 
-async function callModelWithRetry(model, prompt, retries) {
-    for (let attempt = 0; attempt <= retries; attempt++) {
-        try {
-            return await callModel(model, prompt);
-        } catch (error) {
-            if (attempt === retries) {
-                console.error(`Model ${model} failed after ${retries} retries`);
-                throw error;
-            }
-            await new Promise(resolve => setTimeout(resolve, 2000 * (attempt + 1)));
-        }
+// The request's system prompt followed by the answer-language instruction, or undefined when there is neither
+const systemPrompt = (system, language) =>
+    [system, language && languageInstruction(language)].filter(Boolean).join('\n\n') || undefined;
+
+// Translation pipeline (`translate`, or TRANSLATION_PIPELINE for the language): the prompt is answered in English
+// and the answer translated back. Resolves to the English { text, from } prompt, or null when the pipeline is off
+// or the prompt could not be translated, in which case the request runs in the user's language as usual.
+async function englishPrompt(prompt, language, translate) {
+    if (!usesPipeline(language, translate)) return null;
+    try {
+        return await translatePrompt(prompt);
+    } catch (error) {
+        console.error(`Prompt translation failed, answering in ${language} directly: ${error.message}`);
+        return null;
     }
 }
 
-async function callModel(model, prompt) {
-    const cacheKey = `${model}-${prompt}`;
-    if (modelCache.has(cacheKey)) {
-        return modelCache.get(cacheKey);
-    }
+// Second half of the pipeline: the English answer in the user's language, with both texts kept in `translation`
+async function translateAnswer({ content, english, language, sse }) {
+    sse?.send('translating', { from: 'en', to: language });
+    const { answer, language: meta } = await enforceLanguage({ answer: { content }, requested: language, steps: ['translate'] });
+    return {
+        content: answer.content,
+        language: meta,
+        translation: { model: LANGUAGE.translationModel, from: english.from, prompt: english.text, response: content }
+    };
+}
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
+// { adjustedParams: { [model]: { max_tokens... } } } for the models whose limits changed the request, or {}
+const adjustedParams = (entries) => {
+    const adjusted = Object.fromEntries(entries.filter(([, changes]) => Object.keys(changes).length));
+    return Object.keys(adjusted).length ? { adjustedParams: adjusted } : {};
+};
 
-    try {
-        const response = await fetch('https://integrate.api.nvidia.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.NVIDIA_API_KEY}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.7,
-                max_tokens: 512,
-                stream: false
-            }),
-            signal: controller.signal
-        });
+// Which candidates to call under the request's cost strategy and budget. Candidates are taken cheapest
+// first: 'cheapest' calls one, 'balanced' about half, 'best' all of them, and a budget drops whichever
+// would push the estimate (candidates plus the judge or aggregator) over it.
+// Each candidate is priced as a full call even if the fan-out settles without it (late calls still run to the end),
+// and with `hedged` as two calls, since any of them may get a duplicate request.
+// Returns { models (registry order), skipped: [{ model, estimate }], estimate } with costs as upper bounds in USD.
+function planFanOut({ models, promptTokens, maxTokensFor, mode, revise, budget, costStrategy, hedged = false }) {
+    const callCost = (id) => (hedged ? 2 : 1) *
+        estimateCallCost(id, Math.min(promptTokens, (getModel(id)?.context || Infinity) - maxTokensFor(id)), maxTokensFor(id));
+    const aggregateCost = (count) => {
+        if (count < 2 && mode === 'select') return 0;
+        const readTokens = promptTokens + count * Math.max(...models.map(maxTokensFor));
+        return mode === 'fuse'
+            ? estimateCallCost(CONFIG.fusionModel, readTokens, 1536) * (revise ? 2 : 1)
+            : estimateCallCost(CONFIG.judgeModel, readTokens, 150 + 120 * count);
+    };
+
+    const byPrice = [...models].sort((a, b) => callCost(a) - callCost(b));
+    const wanted = { cheapest: 1, balanced: Math.ceil(models.length / 2), best: models.length }[costStrategy];
+
+    const chosen = [];
+    let spent = 0;
+    for (const id of byPrice.slice(0, wanted)) {
+        const total = spent + callCost(id) + aggregateCost(chosen.length + 1);
+        if (budget !== undefined && total > budget) continue;
+        chosen.push(id);
+        spent += callCost(id);
+    }
+    if (!chosen.length) {
+        const cheapest = callCost(byPrice[0]);
+        throw overBudget(`Budget $${budget} is below the cheapest candidate's estimated $${roundUsd(cheapest)}`, cheapest);
+    }
 
-        clearTimeout(timeout);
+    return {
+        models:   models.filter(id => chosen.includes(id)),
+        skipped:  byPrice.slice(0, wanted).filter(id => !chosen.includes(id)).map(id => ({ model: id, estimate: roundUsd(callCost(id)) })),
+        estimate: roundUsd(spent + aggregateCost(chosen.length))
+    };
+}
 
-        if (!response.ok) {
-            const errorBody = await response.text();
-            throw new Error(`API error ${response.status}: ${errorBody.slice(0, 100)}`);
+async function selectResponse({ prompt, candidates, strategy, language, sse }) {
+    sse?.send('judging', { candidates: candidates.map(c => c.model), strategy });
+    const verdict = await judgeCandidates(strategy, {
+        prompt,
+        candidates,
+        language,
+        model: CONFIG.judgeModel,
+        judgeModels: CONFIG.judgeModels
+    });
+    const best = candidates[verdict.bestIndex];
+
+    return {
+        content: best.content,
+        reasoning: best.reasoning,
+        model: best.model,
+        bestIndex: verdict.bestIndex,
+        mode: 'select',
+        details: {
+            judge: {
+                strategy: verdict.strategy,
+                scores: verdict.scores,
+                ...(verdict.fallback && { fallback: verdict.fallback })
+            }
         }
-
-        const data = await response.json();
-        const result = data.choices[0].message.content;
-        
-        modelCache.set(cacheKey, result);
-        return result;
-
-    } catch (error) {
-        console.error(`Model ${model} failed: ${error.message}`);
-        throw error;
-    }
+    };
 }
 
-async function judgeResponses(prompt, candidates) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000); // 10s timeout
+// Judge verdicts are wins and losses for the learned router; every candidate contributes a latency sample.
+// The prompt is bucketed by the local classifier: training the router isn't worth another analysis call.
+async function learnFromVerdict(prompt, candidates, best) {
+    const category = categorize(classifyLocally(prompt).requirements);
+    await Promise.all(candidates.map((candidate, idx) => recordOutcome({
+        modelId:  candidate.model,
+        category,
+        reward:   best.mode === 'select' && candidates.length > 1 ? Number(idx === best.bestIndex) : undefined,
+        latency:  candidate.cached ? undefined : candidate.latency
+    })));
+}
 
+// Merge all candidates with the aggregator, optionally followed by a critique-and-revise round.
+// Resolves to null when fusion fails so the caller can fall back to selection.
+async function fuseResponses({ prompt, candidates, revise, language, sse }) {
+    const models = candidates.map(c => c.model);
     try {
-        const judgePrompt = `STRICTLY REPLY WITH 0, 1, or 2 ONLY. 
-Which response best answers: "${prompt}"?
-
-${candidates.map((c, i) => `=== OPTION ${i} ===
-${c.content.slice(0, 150)}...`).join('\n\n')}`;
-
-        const response = await fetch(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${process.env.GEMINI_API_KEY}`,
-            {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{ text: judgePrompt }]
-                    }],
-                    generationConfig: { // Correct placement
-                        maxOutputTokens: 10,
-                        temperature: 0.1,
-                        topP: 0.95
-                    }
-                }),
-                signal: controller.signal
+        sse?.send('fusing', { candidates: models, aggregator: CONFIG.fusionModel });
+        const fused = await fuseCandidates({ prompt, candidates, language, model: CONFIG.fusionModel });
+
+        let review = null;
+        if (revise) {
+            sse?.send('revising', { reviewers: models });
+            try {
+                review = await critiqueAndRevise({ prompt, draft: fused.answer, reviewers: models, language, model: CONFIG.fusionModel });
+            } catch (error) {
+                console.error(`Revision failed, keeping the merged draft: ${error.message}`);
             }
-        );
-
-        clearTimeout(timeout);
-
-        if (!response.ok) {
-            const errorBody = await response.text();
-            throw new Error(`Gemini API error ${response.status}: ${errorBody}`);
         }
 
-        const data = await response.json();
-        const responseText = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        console.log('Gemini raw response:', responseText);
-
-        const bestIndex = parseBestIndex(responseText, candidates.length);
-        return candidates[bestIndex];
-
+        return {
+            content: review ? review.answer : fused.answer,
+            model: fused.aggregator,
+            mode: 'fuse',
+            details: {
+                fusion: {
+                    aggregator: fused.aggregator,
+                    attribution: fused.attribution,
+                    ...(review && { draft: fused.answer, critiques: review.critiques, revised: review.revised })
+                }
+            }
+        };
     } catch (error) {
-        console.error('Judgment failed:', error.message);
-        return candidates[Math.floor(Math.random() * candidates.length)]; // Random fallback
+        console.error(`Fusion failed: ${error.message}`);
+        return null;
     }
 }
 
-function parseBestIndex(text, candidateCount) {
-    try {
-        const numberMatch = text.match(/\d+/);
-        if (!numberMatch) throw new Error('No numbers found');
-        
-        let index = parseInt(numberMatch[0]);
-        index = Math.max(0, Math.min(index, candidateCount - 1));
-        
-        console.log(`Valid index selected: ${index}`);
-        return index;
-    } catch (error) {
-        console.error('Index parsing failed, using random selection');
-        return Math.floor(Math.random() * candidateCount);
+// hooks are passed on to callModel; hooks.onRetry lets the client discard a partial answer
+async function callModelWithRetry(model, messages, retries, hooks = {}) {
+    const { onRetry, ...callHooks } = hooks;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+            return await callModel(model, messages, callHooks);
+        } catch (error) {
+            // Once the breaker has opened, further attempts would be rejected anyway
+            if (attempt === retries || !isAvailable(model)) {
+                console.error(`Model ${model} failed after ${attempt} retries`);
+                throw error;
+            }
+            onRetry?.(attempt + 1);
+            await new Promise(resolve => setTimeout(resolve, 2000 * (attempt + 1)));
+        }
     }
 }
-const createCustomBoat=async (req,res)=>{
+
+// noCache bypasses the response cache; onToken streams the answer and onReasoning any <think> trace
+// (onRetract drops streamed text that turned out to be a trace, see reasoningStream);
+// options replaces the default generation options. Resolves to { content, reasoning, cached }.
+async function callModel(model, messages, { onToken, onReasoning, onRetract, noCache, options = CONFIG.candidateOptions } = {}) {
+    const trace = onToken && reasoningStream({ onToken, onReasoning, onRetract });
     try {
-        const {title,instruction} = req.body;
-        if (!title || !instruction) {
-            return res.status(400).json({ error: 'Title and instruction are required' });
-        }
-        
+        const { content, cached } = await cachedGenerate({
+            model,
+            messages,
+            options,
+            onToken: trace?.push,
+            noCache
+        });
+        trace?.flush();
+        return { ...splitReasoning(content), cached };
+
     } catch (error) {
-        
+        console.error(`Model ${model} failed: ${error.message}`);
+        throw error;
     }
-
 }
 
-
-
-
-
-
-
-
-
-
-
-
-
-// CRITERIA:
-// - Relevance to the prompt 
-// - Factual accuracy
-// - Clarity and completeness
-// - Conciseness (avoid fluff)
-
-// STRICTLY REPLY WITH 0, 1, or 2 ONLY. 
-
-// Prompt: "<prompt>"
-
-// === OPTION 0 ===
-// ...
-
-// === OPTION 1 ===
-// ...
-
-// === OPTION 2 ===
-// ...
-if (!process.env.NVIDIA_API_KEY || !process.env.GEMINI_API_KEY) {
+if (process.env.PROVIDER_OVERRIDE !== 'mock' && (!process.env.NVIDIA_API_KEY || !process.env.GEMINI_API_KEY)) {
   throw new Error('Missing NVIDIA_API_KEY or GEMINI_API_KEY in environment variables');
 }
 
 const { RateLimiter } = require('limiter');
-// const { AbortController } = require('abort-controller');
-// const fetch = require('node-fetch');
-const EXPERT_MODELS = {
-  'meta/llama3-70b-instruct': {
-    expertise: 'General Knowledge & Complex Reasoning',
-    benchmarks: { reasoning: 92.1, coding: 84.3, math: 88.7, context: 128000 }
-  },
-  'google/gemma-7b': {
-    expertise: 'Efficient Code Generation',
-    benchmarks: { reasoning: 85.4, coding: 89.2, math: 82.1, context: 8192, speed: 214 }
-  },
-  'deepseek-ai/deepseek-r1-distill-llama-8b': {
-    expertise: 'Technical Coding & Mathematics',
-    benchmarks: { reasoning: 91.6, coding: 94.2, math: 93.4, context: 128000, efficiency: 4.8 }
-  }
-};
-
 const CONFIG = {
   maxRetries:     3,
   retryDelay:     2000,
   analysisLimiter: new RateLimiter({ tokensPerInterval: 5, interval: 'second' }),
   modelLimiter:    new RateLimiter({ tokensPerInterval: 8, interval: 'second' }),
-  nvidiaBaseURL:   'https://integrate.api.nvidia.com/v1'  // exact host, no trailing slash
+  analysisModel:   process.env.ANALYSIS_MODEL || 'gemini-2.0-flash',
+  // How prompts are classified for routing: 'gemini', 'local', or local with Gemini for low-confidence prompts
+  analysisMode:    ANALYSIS_MODES.includes(process.env.ANALYSIS_MODE) ? process.env.ANALYSIS_MODE : 'local-then-gemini-if-uncertain',
+  analysisConfidence: parseFloat(process.env.ANALYSIS_CONFIDENCE) || 0.5,
+  // Generation defaults for fan-out candidates and routed answers; requests may override everything but the timeout
+  candidateOptions: { temperature: 0.7, maxTokens: 512, timeout: parseInt(process.env.CANDIDATE_TIMEOUT_MS) || 15000 },
+  routedOptions:    { temperature: 0.7, maxTokens: 1024, timeout: parseInt(process.env.ROUTED_TIMEOUT_MS) || 30000 },
+  judgeModel:      process.env.JUDGE_MODEL || 'gemini-2.0-flash',
+  fusionModel:     process.env.FUSION_MODEL || 'meta/llama3-70b-instruct',
+  // Where routed generation goes when the chosen model fails, and how many fallbacks it may try
+  fallbackOrder:   (process.env.FALLBACK_ORDER || 'next-best,cheapest,any').split(',').map(s => s.trim()).filter(s => FALLBACK_STEPS.includes(s)),
+  fallbackAttempts: parseInt(process.env.FALLBACK_MAX_ATTEMPTS) || 2,
+  // judgeAndGenerate fan-out: judge whatever has arrived after the deadline, or once firstN candidates answered,
+  // and send a duplicate request to models still running after hedgeAfter ms (0 disables each)
+  fanOutDeadline:  parseInt(process.env.FANOUT_DEADLINE_MS ?? 20000) || 0,
+  fanOutFirstN:    parseInt(process.env.FANOUT_FIRST_N) || 0,
+  hedgeAfter:      parseInt(process.env.HEDGE_AFTER_MS ?? 10000) || 0,
+  // Panel for the majority-vote judge
+  judgeModels:     (process.env.JUDGE_MODELS || 'gemini-2.0-flash,meta/llama3-70b-instruct,google/gemma-7b').split(',')
 };
 
 
 
+// Throws on failure so analyzePrompt can fall back to the local classifier
 async function analyzeWithGemini(prompt) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
+  const { content: txt } = await complete({
+    model:    CONFIG.analysisModel,
+    messages: [{ role: 'user', content:
+      `Analyze this prompt's requirements (1-100 scale):\n"${prompt}"\nRespond ONLY with JSON: {coding, reasoning, math, context}`
+    }],
+    options:  { temperature: 0.1, maxTokens: 200, timeout: 15000 }
+  });
 
-  try {
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text:
-            `Analyze this prompt's requirements (1-100 scale):\n"${prompt}"\nRespond ONLY with JSON: {coding, reasoning, math, context}`
-          }]}],
-          generationConfig: { temperature: 0.1, maxOutputTokens: 200 }
-        }),
-        signal: controller.signal
-      }
-    );
+  const requirements = JSON.parse(txt.replace(/```json/g, '').replace(/```/g, ''));
+  if (['coding', 'reasoning', 'math', 'context'].some(key => typeof requirements[key] !== 'number')) {
+    throw new Error('Analysis reply is missing requirement scores');
+  }
+  return requirements;
+}
+
+// The offline classifier's { requirements, confidence }, sized against the smallest expert context window
+const classifyLocally = (prompt) =>
+  classifyPrompt(prompt, { contextTokens: Math.min(...listModels({ role: 'expert' }).map(m => m.context), 128000) });
 
-    clearTimeout(timeout);
-    if (!response.ok) {
-      const err = await response.json();
-      throw new Error(`Gemini API Error: ${err.error?.message}`);
+// Requirement vector used for routing; `source` records which classifier produced it
+async function analyzePrompt(prompt) {
+  const local = classifyLocally(prompt);
+
+  const askGemini = CONFIG.analysisMode === 'gemini'
+    || (CONFIG.analysisMode === 'local-then-gemini-if-uncertain' && local.confidence < CONFIG.analysisConfidence);
+  if (askGemini) {
+    try {
+      await CONFIG.analysisLimiter.removeTokens(1);
+      const { coding, reasoning, math, context } = await analyzeWithGemini(prompt);
+      return { coding, reasoning, math, context, source: 'gemini' };
+    } catch (e) {
+      console.error(`Analysis failed, using local classifier: ${e.message}`);
     }
+  }
+
+  return { ...local.requirements, source: 'local', confidence: local.confidence };
+}
+
+// `allowed` optionally restricts the choice, e.g. to a custom bot's preferred models;
+// a custom bot whose preferences are all disabled falls back to every expert.
+// `excluded` models (already tried when regenerating) are skipped unless nothing else is left.
+// Models whose circuit is open are never routed to.
+function routableModels(allowed = [], excluded = []) {
+  const enabled = listModels({ role: 'expert' });
+  if (!enabled.length) throw new Error('No enabled expert models in the registry');
+  const experts = enabled.filter(m => isAvailable(m.id));
+  if (!experts.length) {
+    throw Object.assign(new Error('All expert models are currently unavailable'), { code: 'NO_HEALTHY_MODELS' });
+  }
+  const preferred = experts.filter(m => allowed.includes(m.id));
+  const pool = preferred.length ? preferred : experts;
+  const fresh = pool.filter(m => !excluded.includes(m.id));
+  return fresh.length ? fresh : pool;
+}
+
+// Same hooks as callModel. Resolves to { content, reasoning, cached }
+async function generateWithNvidia(modelId, messages, { onToken, onReasoning, onRetract, noCache, options = CONFIG.routedOptions } = {}) {
+  const trace = onToken && reasoningStream({ onToken, onReasoning, onRetract });
+  try {
+    const { content, cached } = await cachedGenerate({
+      model:    modelId,
+      messages,
+      options,
+      onToken:  trace?.push,
+      noCache
+    });
+    trace?.flush();
+    return { ...splitReasoning(content), cached };
 
-    const data = await response.json();
-    const txt  = data.candidates[0].content.parts[0].text;
-    return JSON.parse(txt.replace(/```json/g, '').replace(/```/g, ''));
   } catch (e) {
-    console.error(`Analysis failed: ${e.message}`);
-    return { coding: 50, reasoning: 50, math: 50, context: 50 };
+    console.error(`Generation failed: ${e.message}`);
+    throw e;
   }
 }
 
-function selectOptimalModel(requirements) {
-  let bestScore = -Infinity;
-  let bestModel = null;
-
-  Object.entries(EXPERT_MODELS).forEach(([id, model]) => {
-    const cap       = model.benchmarks.context || 4096;
-    const ctxWeight = Math.min(requirements.context / cap, 1);
-    const score = (
-      model.benchmarks.coding    * (requirements.coding    / 100) +
-      model.benchmarks.reasoning * (requirements.reasoning / 100) +
-      model.benchmarks.math      * (requirements.math      / 100) +
-      ctxWeight * 25
-    );
+// Short, client-safe description of why a model call failed
+const failureReason = (error) => {
+  if (error.code === 'CIRCUIT_OPEN') return 'circuit open';
+  if (/timed out|stalled/.test(error.message)) return 'timeout';
+  const status = error.message.match(/API (\d{3})/)?.[1];
+  return status ? `HTTP ${status}` : 'error';
+};
 
-    if (score > bestScore) {
-      bestScore = score;
-      bestModel = id;
+// Healthy models to try after `chosen` fails, in CONFIG.fallbackOrder: the router's next-best pick
+// from the same pool, the cheapest model in the pool, then any expert at all
+async function fallbackChain({ requirements, pool, chosen, affordable }) {
+  const steps = {
+    'next-best': async () => (await rankModels({ requirements, models: pool })).map(m => m.id),
+    cheapest:    async () => [...pool]
+      .sort((a, b) => (a.cost.prompt + a.cost.completion) - (b.cost.prompt + b.cost.completion))
+      .map(m => m.id),
+    any:         async () => listModels({ role: 'expert' }).map(m => m.id)
+  };
+
+  const chain = [];
+  for (const step of CONFIG.fallbackOrder) {
+    for (const id of await steps[step]()) {
+      if (id !== chosen && isAvailable(id) && affordable(id) && !chain.some(link => link.model === id)) chain.push({ model: id, step });
     }
-  });
-
-  return bestModel || 'meta/llama3-70b-instruct';
+  }
+  return chain.slice(0, CONFIG.fallbackAttempts);
 }
 
-async function generateWithNvidia(modelId, prompt) {
-  const cacheKey = `${modelId}-${Buffer.from(prompt).toString('base64url')}`;
-  if (modelCache.has(cacheKey)) return modelCache.get(cacheKey);
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 30000);
+const describeModel = (modelInfo) => ({
+  id:         modelInfo.id,
+  name:       modelInfo.name,
+  expertise:  modelInfo.expertise,
+  benchmarks: { ...modelInfo.capabilities, context: modelInfo.context }
+});
+
+// Shared by /api/ml/llm and /api/bots: classify the prompt, pick the best expert and generate.
+// `system` is an optional instruction placed ahead of the conversation; `models` limits the routing choice.
+// `semantic` ({ scope, threshold? }) opts into reusing the answer to a near-duplicate prompt from the same scope.
+// If the chosen model fails, the fallback chain is tried and `onFallback({ from, to, step, reason })` is called.
+// A <think> trace is kept out of `response` and returned as `reasoning` (streamed through `onReasoning`;
+// `onRetract()` drops streamed tokens that turned out to be a trace).
+// `costStrategy` ('best', 'balanced' or 'cheapest') trades quality for price; `budget` caps the estimated USD of the call.
+// `params` are parsed generation overrides (see utility/generationParams), fitted to whichever model answers.
+// `language` is the answer language the caller asked for (its instruction belongs in `system`); an answer in another
+// language is asked for again (after `onLanguageRetry({ expected, detected })`) or translated.
+async function routeAndGenerate({
+  prompt, history = [], system, models, excludeModels = [], noCache = false, budget, costStrategy = COST.strategy,
+  params = {}, language, semantic, onMeta, onToken, onReasoning, onRetract, onFallback, onLanguageRetry
+}) {
+  // An embeddings outage is a cache miss, not a failed chat
+  const lookup = semantic && await semanticLookup({ prompt, ...semantic }).catch(error => {
+    console.error(`Semantic cache lookup failed: ${error.message}`);
+    return null;
+  });
+  if (lookup) {
+    const { entry } = lookup;
+    // A stale hit from a model since disabled or already tried is treated as a miss
+    const reusable = lookup.hit && !noCache && !excludeModels.includes(entry.model) && getModel(entry.model)?.enabled;
+    if (reusable) {
+      const model = describeModel(getModel(entry.model));
+      onMeta?.({ model, analysis: entry.analysis, routing: entry.routing });
+      onToken?.(entry.answer);
+      return {
+        response:      entry.answer,
+        cached:        true,
+        model,
+        analysis:      entry.analysis,
+        routing:       entry.routing,
+        semanticCache: { hit: true, similarity: lookup.similarity, threshold: lookup.threshold, matchedPrompt: entry.prompt },
+        language:      describeLanguage(entry.answer, language),
+        costEstimate:  0,
+        contextTurns:  history.length + 1
+      };
+    }
+  }
 
-  try {
-    const res = await fetch(
-      `${CONFIG.nvidiaBaseURL}/chat/completions`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.NVIDIA_API_KEY}`,
-          'Content-Type':  'application/json',
-          'Accept':        'application/json'
-        },
-        body: JSON.stringify({
-          model:       modelId,
-          messages:    [{ role: 'user', content: prompt }],
-          temperature: 0.7,
-          max_tokens:  1024,
-          stream:      false
-        }),
-        signal: controller.signal
-      }
-    );
+  const requirements = await analyzePrompt(prompt);
+
+  // Every expert is priced up front so the budget also holds for fallbacks outside the pool
+  const promptTokens = estimateTokens([system, ...history.map(m => m.content), prompt].filter(Boolean).join('\n'));
+  const fitted = Object.fromEntries(listModels({ role: 'expert' }).map(m => [m.id, fitToModel(m.id, params, CONFIG.routedOptions)]));
+  const costs = Object.fromEntries(listModels({ role: 'expert' }).map(m => {
+    const { maxTokens } = fitted[m.id].options;
+    return [m.id, estimateCallCost(m.id, Math.min(promptTokens, m.context - maxTokens), maxTokens)];
+  }));
+  const affordable = (id) => budget === undefined || costs[id] <= budget;
+
+  const routable = routableModels(models, excludeModels);
+  const pool = routable.filter(m => affordable(m.id));
+  if (!pool.length) {
+    const cheapest = Math.min(...routable.map(m => costs[m.id]));
+    throw overBudget(`Budget $${budget} is below the cheapest model's estimated $${roundUsd(cheapest)}`, cheapest);
+  }
 
-    clearTimeout(timeout);
-    if (!res.ok) {
-      const errBody = await res.text();
-      throw new Error(`NVIDIA API ${res.status}: ${errBody.slice(0,200)}`);
+  const routing = costStrategy === 'best'
+    ? await chooseModel({ requirements, models: pool })
+    : await chooseByCost({ requirements, models: pool, costs, strategy: costStrategy, tolerance: COST.tolerance });
+  const { category, strategy, explored } = routing;
+  const chosen  = routing.modelId;
+  const chain   = [{ model: chosen, step: 'routed' }, ...await fallbackChain({ requirements, pool, chosen, affordable })];
+
+  const failures = [];
+  let answer = null;
+  for (const { model: modelId, step } of chain) {
+    const modelInfo = getModel(modelId);
+    const model = describeModel(modelInfo);
+    if (failures.length) {
+      onFallback?.({ from: chosen, to: modelId, step, reason: failures[failures.length - 1].reason });
     }
+    onMeta?.({ model, analysis: requirements, routing: { category, strategy, explored } });
 
-    const data   = await res.json();
-    const result = data.choices[0].message.content;
+    const { options, adjusted } = fitted[modelId];
+    const messages = trimToContext(
+      [...(system ? [{ role: 'system', content: system }] : []), ...history, { role: 'user', content: prompt }],
+      modelInfo.context,
+      options.maxTokens
+    );
 
-    modelCache.set(cacheKey, result);
-    return result;
+    try {
+      await CONFIG.modelLimiter.removeTokens(1);
+      const started = Date.now();
+      const { content, reasoning, cached } = await generateWithNvidia(modelId, messages, { onToken, onReasoning, onRetract, noCache, options });
+      // A cache hit says nothing about how fast the model is
+      if (!cached) recordOutcome({ modelId, category, latency: Date.now() - started });
+      answer = {
+        content, reasoning, cached, model, step, adjusted, messages, options,
+        estimate: roundUsd(costs[modelId] ?? 0)
+      };
+      break;
+    } catch (error) {
+      failures.push({ model: modelId, reason: failureReason(error) });
+      if (failures.length === chain.length) throw error;
+    }
+  }
 
-  } catch (e) {
-    console.error(`Generation failed: ${e.message}`);
-    throw e;
+  const { model, adjusted, estimate, messages, options } = answer;
+  // The retry repeats the language instruction right next to the question, where models are least likely to miss it
+  const enforced = await enforceLanguage({
+    answer,
+    requested: language,
+    retry:     async () => {
+      onLanguageRetry?.({ expected: language, detected: detectLanguage(answer.content)?.code });
+      await CONFIG.modelLimiter.removeTokens(1);
+      const reminder = [...messages.slice(0, -1), { role: 'user', content: `${prompt}\n\n${languageInstruction(language)}` }];
+      return generateWithNvidia(model.id, reminder, { onToken, onReasoning, onRetract, noCache, options });
+    }
+  });
+  const { content: response, reasoning, cached } = enforced.answer;
+  const fallback = failures.length ? {
+    from:     chosen,
+    to:       model.id,
+    step:     answer.step,
+    reason:   failures[0].reason,
+    failures
+  } : null;
+
+  if (lookup) {
+    semanticStore({
+      scope:    semantic.scope,
+      prompt,
+      vector:   lookup.vector,
+      answer:   response,
+      model:    model.id,
+      analysis: requirements,
+      routing:  { category, strategy, explored }
+    }).catch(error => console.error(`Semantic cache write failed: ${error.message}`));
   }
+
+  return {
+    response,
+    reasoning,
+    cached,
+    model,
+    analysis: requirements,
+    routing:  { category, strategy, explored },
+    ...(fallback && { fallback }),
+    ...(lookup && { semanticCache: { hit: false, similarity: lookup.similarity, threshold: lookup.threshold } }),
+    language: enforced.language,
+    ...adjustedParams([[model.id, adjusted]]),
+    costEstimate: estimate,
+    contextTurns: messages.length
+  };
 }
 
 async function llmController(req, res) {
   const startTime = Date.now();
+  let sse = null;
   try {
-    const { prompt } = req.body;
+    const {
+      prompt, excludeModels = [], regenerate = false, noCache = false,
+      budget, strategy: costStrategy = COST.strategy, includeReasoning = false, language, translate
+    } = req.body;
     if (!prompt?.trim()) return res.status(400).json({ error: 'Prompt required' });
+    if (!Array.isArray(excludeModels)) return res.status(400).json({ error: 'excludeModels must be an array of model ids' });
+    const badCost = validateCostOptions({ budget, strategy: costStrategy });
+    if (badCost) return res.status(400).json({ error: badCost });
+    const { params, error: badParams } = parseGenerationParams(req.body);
+    if (badParams) return res.status(400).json({ error: badParams });
+    const badLanguage = validateLanguage(language);
+    if (badLanguage) return res.status(400).json({ error: badLanguage });
+    const context = await loadConversation({ ...req.body, user: req.user, bot: 'router' });
+    if (!context) return res.status(400).json({ error: 'messages must be an array of { role, content }' });
+    // Through the translation pipeline the routed model answers the English prompt
+    const english = await englishPrompt(prompt, language, translate);
+    const workingLanguage = english ? 'en' : language;
+    if (wantsStream(req)) sse = openSSE(res);
+
+    const {
+      response: workingResponse, reasoning, cached, model, analysis, routing, fallback,
+      language: workingMeta, adjustedParams, costEstimate, contextTurns
+    } = await routeAndGenerate({
+      prompt:  english ? english.text : prompt,
+      history: regenerate ? withoutLastExchange(context.history, prompt) : context.history,
+      system:  systemPrompt(params.system, workingLanguage),
+      excludeModels,
+      noCache,
+      budget,
+      costStrategy,
+      params,
+      language:   workingLanguage,
+      onMeta:     sse && ((meta) => sse.send('meta', { ...meta, conversationId: context.conversationId })),
+      onToken:    sse && ((text) => sse.send('token', { text })),
+      onReasoning: sse && includeReasoning && ((text) => sse.send('reasoning', { text })),
+      onRetract:  sse && (() => sse.send('retract', {})),
+      // Tells the client to drop the failed model's partial answer
+      onFallback: sse && ((info) => sse.send('fallback', info)),
+      // Likewise for an answer that came back in the wrong language
+      onLanguageRetry: sse && ((info) => sse.send('language-retry', info))
+    });
 
-    await CONFIG.analysisLimiter.removeTokens(1);
-    const requirements = await analyzeWithGemini(prompt);
-
-    const modelId   = selectOptimalModel(requirements);
-    const modelInfo = EXPERT_MODELS[modelId];
-
-    await CONFIG.modelLimiter.removeTokens(1);
-    const response  = await generateWithNvidia(modelId, prompt);
+    const translated = english && await translateAnswer({ content: workingResponse, english, language, sse });
+    const response = translated ? translated.content : workingResponse;
 
-    res.json({
+    const result = {
       response,
-      model:        { id: modelId, expertise: modelInfo.expertise, benchmarks: modelInfo.benchmarks },
-      analysis:     requirements,
-      responseTime: Date.now() - startTime
-    });
+      ...(includeReasoning && reasoning && { reasoning }),
+      cached,
+      model,
+      analysis,
+      routing,
+      ...(fallback && { fallback }),
+      language:       translated ? translated.language : workingMeta,
+      ...(translated && { translation: translated.translation }),
+      ...(adjustedParams && { adjustedParams }),
+      cost:           { ...requestCost(), estimate: costEstimate, strategy: costStrategy, ...(budget && { budget }) },
+      conversationId: context.conversationId,
+      contextTurns,
+      responseTime:   Date.now() - startTime
+    };
+    result.messageId = await saveTurn(context, prompt, response, {
+      modelId:  model.id,
+      reasoning,
+      analysis,
+      latency:  result.responseTime
+    }, { regenerate });
+
+    if (sse) {
+      sse.send('done', result);
+      return sse.close();
+    }
+    res.json(result);
 
   } catch (error) {
     console.error(`Controller error: ${error.stack}`);
-    res.status(500).json({
-      error: 'Processing failed',
-      ...(process.env.NODE_ENV === 'development' && { details: error.message })
-    });
+    const body = errorBody(error, 'Processing failed');
+    if (sse) {
+      sse.send('error', body);
+      return sse.close();
+    }
+    res.status(errorStatus(error)).json(body);
   }
 }
 
-module.exports = { llmController,judgeAndGenerate };
+// Admin view of the learned per-category win rates
+async function routingTableController(req, res) {
+  try {
+    res.json(await routingTable(listModels({ role: 'expert' })));
+  } catch (error) {
+    console.error(`Routing table failed: ${error.message}`);
+    res.status(500).json({ error: 'Could not load routing table' });
+  }
+}
+
+// Admin view of response cache hit rates
+function cacheStatsController(req, res) {
+  res.json({ ...cacheStats(), semantic: semanticStats() });
+}
+
+// Circuit breaker state of every enabled model
+function healthController(req, res) {
+  res.json(healthStatus(listModels().map(m => m.id)));
+}
+
+// Public view of the registry; ?all=true also lists disabled models
+function listModelsController(req, res) {
+  const models = listModels({ includeDisabled: req.query.all === 'true' })
+    .map(({ endpoint, apiKeyEnv, ...model }) => model);
+  res.json({ models });
+}
+
+module.exports = {
+  llmController,
+  judgeAndGenerate,
+  routeAndGenerate,
+  errorStatus,
+  errorBody,
+  listModelsController,
+  routingTableController,
+  cacheStatsController,
+  healthController
+};
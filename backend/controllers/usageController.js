@@ -0,0 +1,51 @@
+const Usage = require('../models/usageModel');
+const { quotaStatus, periodBounds } = require('../utility/usage');
+
+const TOKEN_TOTALS = {
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    calls: { $sum: '$calls' }
+};
+
+// Quota status plus this month's breakdown by model and route and a per-day series
+const getUsage = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+        const { start: monthStart } = periodBounds('monthly');
+        const { start: today } = periodBounds('daily');
+        const seriesStart = new Date(today.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+        const user = req.user._id;
+
+        const [quota, byModel, byRoute, series] = await Promise.all([
+            quotaStatus(req.user),
+            Usage.aggregate([
+                { $match: { user, createdAt: { $gte: monthStart } } },
+                { $group: { _id: '$modelId', ...TOKEN_TOTALS } },
+                { $sort: { promptTokens: -1 } }
+            ]),
+            Usage.aggregate([
+                { $match: { user, createdAt: { $gte: monthStart } } },
+                { $group: { _id: '$route', ...TOKEN_TOTALS } },
+                { $sort: { promptTokens: -1 } }
+            ]),
+            Usage.aggregate([
+                { $match: { user, createdAt: { $gte: seriesStart } } },
+                { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...TOKEN_TOTALS } },
+                { $sort: { _id: 1 } }
+            ])
+        ]);
+
+        const rename = (key) => ({ _id, ...totals }) => ({ [key]: _id, ...totals });
+        res.status(200).json({
+            quota,
+            byModel: byModel.map(rename('model')),
+            byRoute: byRoute.map(rename('route')),
+            daily: series.map(rename('date'))
+        });
+    } catch (error) {
+        console.error('Error while loading usage:', error);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+module.exports = { getUsage };
@@ -0,0 +1,101 @@
+const { complete } = require('../providers');
+const { clip } = require('../judges/criteria');
+const { languageInstruction } = require('../language');
+const { splitReasoning } = require('../utility/reasoning');
+
+const ATTRIBUTION_MARKER = 'ATTRIBUTION:';
+
+// Split the aggregator reply into the answer and its "- OPTION i: what it contributed" lines
+function parseFusedReply(text, candidates) {
+  const at = text.lastIndexOf(ATTRIBUTION_MARKER);
+  if (at === -1) return { answer: text.trim(), attribution: [] };
+
+  const attribution = text.slice(at + ATTRIBUTION_MARKER.length)
+    .split('\n')
+    .map(line => line.match(/OPTION\s*(\d+)\s*[:\-–]\s*(.+)/i))
+    .filter(Boolean)
+    .map(([, index, contribution]) => ({ model: candidates[Number(index)]?.model, contribution: contribution.trim() }))
+    .filter(a => a.model);
+
+  return { answer: text.slice(0, at).trim(), attribution };
+}
+
+// Merge the strongest parts of every candidate into one answer, noting who contributed what.
+// `language` is the answer language the request asked for, whatever the drafts were written in.
+async function fuseCandidates({ prompt, candidates, model, language }) {
+  const { content } = await complete({
+    model,
+    messages: [
+      {
+        role: 'system',
+        content: 'You merge several draft answers into one answer that is better than each of them. ' +
+          'Keep correct, relevant material, drop errors and repetition, and never mention the drafts in the answer itself.' +
+          (language ? ` ${languageInstruction(language)}` : '')
+      },
+      {
+        role: 'user',
+        content: `Prompt: "${prompt}"
+
+${candidates.map((c, i) => `=== OPTION ${i} ===\n${clip(c.content)}`).join('\n\n')}
+
+Write the merged answer. Then, on a new line, write "${ATTRIBUTION_MARKER}" followed by one line per option you used:
+- OPTION <number>: <what it contributed>`
+      }
+    ],
+    options: { temperature: 0.3, maxTokens: 1536, timeout: 45000 }
+  });
+
+  // A reasoning aggregator's trace is neither part of the answer nor of the attribution
+  const fused = parseFusedReply(splitReasoning(content).content, candidates);
+  if (!fused.answer) throw new Error('Aggregator returned an empty answer');
+  return { ...fused, aggregator: model };
+}
+
+// Each reviewer critiques the merged draft; the aggregator then revises it once
+async function critiqueAndRevise({ prompt, draft, reviewers, model, language }) {
+  const reviews = await Promise.allSettled(reviewers.map(reviewer => complete({
+    model:    reviewer,
+    messages: [{
+      role: 'user',
+      content: `Review this answer to the prompt "${prompt}".
+
+=== ANSWER ===
+${clip(draft)}
+
+List at most 3 concrete problems (errors, omissions, unclear parts), one per line. Reply "NONE" if it is good.`
+    }],
+    options: { temperature: 0.2, maxTokens: 256, timeout: 20000 }
+  })));
+
+  // Reasoning models spend a short budget thinking; only the critique after the trace counts
+  const critiques = reviews
+    .map((r, i) => r.status === 'fulfilled'
+      ? { model: reviewers[i], critique: splitReasoning(r.value.content).content.trim() }
+      : null)
+    .filter(c => c && c.critique && !/^none\b/i.test(c.critique));
+
+  if (!critiques.length) return { answer: draft, critiques: [], revised: false };
+
+  const { content } = await complete({
+    model,
+    messages: [{
+      role: 'user',
+      content: `Prompt: "${prompt}"
+
+=== DRAFT ===
+${clip(draft)}
+
+=== REVIEWER NOTES ===
+${critiques.map(c => `[${c.model}]\n${c.critique}`).join('\n\n')}
+
+Rewrite the draft, fixing the valid points and ignoring wrong ones. Reply with the revised answer only.${language ? `
+${languageInstruction(language)}` : ''}`
+    }],
+    options: { temperature: 0.3, maxTokens: 1536, timeout: 45000 }
+  });
+
+  const revised = splitReasoning(content).content.trim();
+  return { answer: revised || draft, critiques, revised: Boolean(revised) };
+}
+
+module.exports = { fuseCandidates, critiqueAndRevise, parseFusedReply };
@@ -7,6 +7,10 @@ const cookieParser=require('cookie-parser');
 require('dotenv').config();
 const authRoutes=require('./routes/authRoute');
 const mlRoutes=require('./routes/mlroutes');
+const conversationRoutes=require('./routes/conversationRoute');
+const botRoutes=require('./routes/botRoute');
+const usageRoutes=require('./routes/usageRoute');
+const feedbackRoutes=require('./routes/feedbackRoute');
 
 
 const app=express();
@@ -31,6 +35,10 @@ app.use(cors(corsOptions));
 
 app.use('/api/auth',authRoutes);
 app.use('/api/ml',mlRoutes);
+app.use('/api/conversations',conversationRoutes);
+app.use('/api/bots',botRoutes);
+app.use('/api/usage',usageRoutes);
+app.use('/api/feedback',feedbackRoutes);
 
 
   
@@ -0,0 +1,37 @@
+const { languageName } = require('../language');
+
+// Shared by the model-backed judges
+const CRITERIA = [
+  { key: 'relevance',    label: 'Relevance to the prompt' },
+  { key: 'accuracy',     label: 'Factual accuracy' },
+  { key: 'completeness', label: 'Clarity and completeness' },
+  { key: 'conciseness',  label: 'Conciseness (avoid fluff)' }
+];
+
+// Candidates are shown in full, up to a cap that keeps the judge prompt inside its context
+const MAX_CANDIDATE_CHARS = 6000;
+
+const clip = (text) =>
+  text.length > MAX_CANDIDATE_CHARS ? `${text.slice(0, MAX_CANDIDATE_CHARS)}\n[...truncated]` : text;
+
+// With a requested language, answers written in any other language should lose
+const criteriaList = (language) => [
+  ...CRITERIA.map(c => `- ${c.label}`),
+  ...(language ? [`- Written in ${languageName(language)} (score answers in another language low)`] : [])
+].join('\n');
+
+// Pull the first JSON object out of a model reply that may be wrapped in prose or code fences
+const parseJson = (text) => {
+  const match = text.replace(/```json/g, '').replace(/```/g, '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('No JSON object in judge reply');
+  return JSON.parse(match[0]);
+};
+
+// First integer in the reply, clamped to a valid option index; null when there is none
+const parseIndex = (text, count) => {
+  const match = text.match(/\d+/);
+  if (!match) return null;
+  return Math.max(0, Math.min(parseInt(match[0]), count - 1));
+};
+
+module.exports = { CRITERIA, clip, criteriaList, parseJson, parseIndex };
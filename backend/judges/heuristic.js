@@ -0,0 +1,62 @@
+const { detectLanguage, languageName } = require('../language');
+
+// Deterministic judge: no model call, so it doubles as the fallback for the other strategies
+const REFUSAL = /\b(i can(?:no|')t help|i am unable|i'm unable|as an ai language model|i cannot (?:provide|assist))\b/i;
+
+const words = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+
+function scoreCandidate(prompt, content, language) {
+  const notes = [];
+  const answer = content.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+  let score = 50;
+
+  if (!answer) return { score: 0, rationale: 'Empty answer' };
+
+  // Keyword coverage of the prompt
+  const promptWords = new Set(words(prompt));
+  if (promptWords.size) {
+    const answerWords = new Set(words(answer));
+    const covered = [...promptWords].filter(w => answerWords.has(w)).length / promptWords.size;
+    score += Math.round(covered * 25);
+    notes.push(`covers ${Math.round(covered * 100)}% of prompt terms`);
+  }
+
+  // Prefer substantive but not bloated answers
+  const length = answer.length;
+  if (length < 40) { score -= 20; notes.push('very short'); }
+  else if (length > 4000) { score -= 10; notes.push('very long'); }
+  else { score += 10; notes.push('reasonable length'); }
+
+  if (/^\s*([-*•]|\d+\.)\s/m.test(answer) || /```/.test(answer)) {
+    score += 5;
+    notes.push('structured');
+  }
+
+  if (REFUSAL.test(answer)) {
+    score -= 30;
+    notes.push('refuses or deflects');
+  }
+
+  // Heavy repetition usually means a degenerate generation
+  const lines = answer.split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.length > 4 && new Set(lines).size / lines.length < 0.6) {
+    score -= 15;
+    notes.push('repetitive');
+  }
+
+  const detected = language && detectLanguage(answer);
+  if (detected && detected.code !== language) {
+    score -= 40;
+    notes.push(`written in ${languageName(detected.code)}, not ${languageName(language)}`);
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), rationale: notes.join(', ') };
+}
+
+async function judge({ prompt, candidates, language }) {
+  const scores = candidates.map(c => ({ model: c.model, ...scoreCandidate(prompt, c.content, language) }));
+  const bestIndex = scores.reduce((best, s, i) => (s.score > scores[best].score ? i : best), 0);
+  return { bestIndex, scores };
+}
+
+module.exports = { name: 'heuristic', judge, scoreCandidate };
@@ -0,0 +1,31 @@
+const rubric    = require('./rubric');
+const pairwise  = require('./pairwise');
+const majority  = require('./majority');
+const heuristic = require('./heuristic');
+
+const STRATEGIES = { rubric, pairwise, majority, heuristic };
+const DEFAULT_STRATEGY = process.env.JUDGE_STRATEGY || 'rubric';
+
+const hasStrategy = (name) => Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+
+// Run a judging strategy over { model, content } candidates; `language` marks answers in any other language down.
+// Resolves to { strategy, bestIndex, scores: [{ model, score (0-100), rationale }], fallback? };
+// a failing model-backed judge falls back to the deterministic heuristic instead of a random pick.
+async function judgeCandidates(strategy = DEFAULT_STRATEGY, { prompt, candidates, model, judgeModels, language }) {
+  if (!hasStrategy(strategy)) throw new Error(`Unknown judge strategy: ${strategy}`);
+
+  if (candidates.length === 1) {
+    return { strategy, bestIndex: 0, scores: [{ model: candidates[0].model, score: 100, rationale: 'only candidate' }] };
+  }
+
+  try {
+    const verdict = await STRATEGIES[strategy].judge({ prompt, candidates, model, judgeModels, language });
+    return { strategy, ...verdict };
+  } catch (error) {
+    console.error(`Judge strategy ${strategy} failed: ${error.message}`);
+    const verdict = await heuristic.judge({ prompt, candidates, language });
+    return { strategy: 'heuristic', fallback: { from: strategy, reason: error.message }, ...verdict };
+  }
+}
+
+module.exports = { judgeCandidates, hasStrategy, STRATEGIES, DEFAULT_STRATEGY };
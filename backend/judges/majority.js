@@ -0,0 +1,51 @@
+const { complete } = require('../providers');
+const { clip, criteriaList, parseIndex } = require('./criteria');
+const heuristic = require('./heuristic');
+const { splitReasoning } = require('../utility/reasoning');
+
+// Several judge models vote independently; ties go to the best heuristic score
+async function judge({ prompt, candidates, judgeModels, language }) {
+  const ballot = `CRITERIA:
+${criteriaList(language)}
+
+Prompt: "${prompt}"
+
+${candidates.map((c, i) => `=== OPTION ${i} ===\n${clip(c.content)}`).join('\n\n')}
+
+STRICTLY REPLY WITH THE NUMBER OF THE BEST OPTION (0-${candidates.length - 1}) ONLY.`;
+
+  const results = await Promise.allSettled(judgeModels.map(model => complete({
+    model,
+    messages: [{ role: 'user', content: ballot }],
+    options:  { temperature: 0.1, maxTokens: 10, timeout: 15000 }
+  })));
+
+  const votes = candidates.map(() => []);
+  results.forEach((r, i) => {
+    if (r.status !== 'fulfilled') return;
+    // A reasoning judge could name an option while thinking; only the vote after its trace counts
+    const index = parseIndex(splitReasoning(r.value.content).content, candidates.length);
+    if (index !== null) votes[index].push(judgeModels[i]);
+  });
+
+  const cast = votes.reduce((n, v) => n + v.length, 0);
+  if (!cast) throw new Error('No judge returned a usable vote');
+
+  const tiebreak = (await heuristic.judge({ prompt, candidates, language })).scores;
+  const bestIndex = votes.reduce((best, v, i) => {
+    if (v.length !== votes[best].length) return v.length > votes[best].length ? i : best;
+    return tiebreak[i].score > tiebreak[best].score ? i : best;
+  }, 0);
+
+  return {
+    bestIndex,
+    scores: candidates.map((c, i) => ({
+      model: c.model,
+      score: Math.round((votes[i].length / cast) * 100),
+      votes: votes[i].length,
+      rationale: votes[i].length ? `voted by ${votes[i].join(', ')}` : 'no votes'
+    }))
+  };
+}
+
+module.exports = { name: 'majority', judge };
@@ -0,0 +1,52 @@
+const { complete } = require('../providers');
+const { splitReasoning } = require('../utility/reasoning');
+const { clip, criteriaList } = require('./criteria');
+
+async function compare(prompt, a, b, model, language) {
+  const { content } = await complete({
+    model,
+    messages: [{ role: 'user', content: `Which answer better serves the prompt?
+
+CRITERIA:
+${criteriaList(language)}
+
+Prompt: "${prompt}"
+
+=== ANSWER A ===
+${clip(a.content)}
+
+=== ANSWER B ===
+${clip(b.content)}
+
+Reply with "A" or "B" on the first line, then one sentence explaining why.` }],
+    options: { temperature: 0.1, maxTokens: 80, timeout: 15000 }
+  });
+
+  const [first, ...rest] = splitReasoning(content).content.trim().split('\n');
+  const pick = first.trim().toUpperCase().match(/\b([AB])\b/)?.[1];
+  if (!pick) throw new Error(`Unparseable pairwise verdict: ${first.slice(0, 40)}`);
+  return { winner: pick === 'A' ? a : b, reason: rest.join(' ').trim() || first.trim() };
+}
+
+// Single-elimination tournament: the current champion meets each remaining candidate in turn
+async function judge({ prompt, candidates, model, language }) {
+  const entries = candidates.map((c, index) => ({ ...c, index, wins: 0, notes: [] }));
+
+  let champion = entries[0];
+  for (const challenger of entries.slice(1)) {
+    const { winner, reason } = await compare(prompt, champion, challenger, model, language);
+    const loser = winner === champion ? challenger : champion;
+    winner.wins += 1;
+    winner.notes.push(`beat ${loser.model}: ${reason}`);
+    loser.notes.push(`lost to ${winner.model}`);
+    champion = winner;
+  }
+
+  const rounds = Math.max(entries.length - 1, 1);
+  return {
+    bestIndex: champion.index,
+    scores: entries.map(e => ({ model: e.model, score: Math.round((e.wins / rounds) * 100), rationale: e.notes.join('; ') }))
+  };
+}
+
+module.exports = { name: 'pairwise', judge };
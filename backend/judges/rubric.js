@@ -0,0 +1,41 @@
+const { complete } = require('../providers');
+const { splitReasoning } = require('../utility/reasoning');
+const { CRITERIA, clip, criteriaList, parseJson } = require('./criteria');
+
+// One judge call scores every candidate 1-10 per criterion over the full text
+async function judge({ prompt, candidates, model, language }) {
+  const judgePrompt = `You are grading answers to a user prompt.
+
+CRITERIA:
+${criteriaList(language)}
+
+Prompt: "${prompt}"
+
+${candidates.map((c, i) => `=== OPTION ${i} ===\n${clip(c.content)}`).join('\n\n')}
+
+Score every option from 1 to 10 on each criterion.
+Respond ONLY with JSON: {"scores":[{"option":0,${CRITERIA.map(c => `"${c.key}":0`).join(',')},"rationale":"one sentence"}]}`;
+
+  const { content } = await complete({
+    model,
+    messages: [{ role: 'user', content: judgePrompt }],
+    options:  { temperature: 0.1, maxTokens: 150 + 120 * candidates.length, timeout: 20000 }
+  });
+
+  const parsed = parseJson(splitReasoning(content).content).scores;
+  if (!Array.isArray(parsed)) throw new Error('Rubric reply has no scores array');
+
+  const scores = candidates.map((c, i) => {
+    const entry = parsed.find(s => Number(s.option) === i) || parsed[i];
+    if (!entry) throw new Error(`Rubric reply is missing option ${i}`);
+
+    const criteria = Object.fromEntries(CRITERIA.map(({ key }) => [key, Math.max(1, Math.min(10, Number(entry[key]) || 1))]));
+    const average = Object.values(criteria).reduce((a, b) => a + b, 0) / CRITERIA.length;
+    return { model: c.model, score: Math.round(average * 10), criteria, rationale: String(entry.rationale || '') };
+  });
+
+  const bestIndex = scores.reduce((best, s, i) => (s.score > scores[best].score ? i : best), 0);
+  return { bestIndex, scores };
+}
+
+module.exports = { name: 'rubric', judge };
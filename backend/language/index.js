@@ -0,0 +1,167 @@
+const { complete } = require('../providers');
+const { estimateTokens } = require('../providers/http');
+const { splitReasoning } = require('../utility/reasoning');
+
+// Answer languages the clients offer, by the code they send as `language`
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  te: 'Telugu',
+  ta: 'Tamil',
+  ur: 'Urdu',
+  ar: 'Arabic'
+};
+
+const MISMATCH_STEPS = ['retry', 'translate'];
+
+const LANGUAGE = {
+  // What happens when an answer comes back in the wrong language: ask the model again, then translate it
+  onMismatch:       (process.env.LANGUAGE_MISMATCH ?? 'retry,translate').split(',').map(s => s.trim()).filter(s => MISMATCH_STEPS.includes(s)),
+  translationModel: process.env.TRANSLATION_MODEL || 'gemini-2.0-flash',
+  // Languages whose requests go through English by default (see translatePrompt); requests can opt in or out
+  pipeline:         (process.env.TRANSLATION_PIPELINE || '').split(',').map(s => s.trim()).filter(Boolean)
+};
+
+// Too few letters (a number, a code-only answer) to tell the language apart
+const MIN_LETTERS = 20;
+
+const isLanguage = (code) => Object.prototype.hasOwnProperty.call(LANGUAGE_NAMES, code);
+
+const languageName = (code) => LANGUAGE_NAMES[code] || LANGUAGE_NAMES.en;
+
+const languageInstruction = (code) =>
+  `Write your whole answer in ${languageName(code)}, whatever language the question is in. ` +
+  'Keep code, commands and proper names as they are.';
+
+// Urdu and Arabic share a script; each has letters the other rarely uses
+const URDU_LETTERS = /[ٹڈڑںےۓہھ]/g;
+const ARABIC_LETTERS = /[ةى]|(?:^|\s)ال/g;
+
+const SCRIPTS = [
+  { code: 'hi',     pattern: /\p{Script=Devanagari}/u },
+  { code: 'te',     pattern: /\p{Script=Telugu}/u },
+  { code: 'ta',     pattern: /\p{Script=Tamil}/u },
+  { code: 'arabic', pattern: /\p{Script=Arabic}/u },
+  // Latin script is taken as English, the only Latin-script language on offer
+  { code: 'en',     pattern: /\p{Script=Latin}/u }
+];
+
+// Script-based guess at the language of an answer, ignoring code and links.
+// Returns { code, confidence } (the dominant script's share of letters) or null when there is too little text.
+function detectLanguage(text = '') {
+  const prose = text
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/`[^`\n]*`/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ');
+  // Vowel signs count too: Indic scripts write most vowels as combining marks
+  const letters = prose.match(/[\p{L}\p{M}]/gu) || [];
+  if (letters.length < MIN_LETTERS) return null;
+
+  const counts = {};
+  letters.forEach(letter => {
+    const script = SCRIPTS.find(s => s.pattern.test(letter));
+    if (script) counts[script.code] = (counts[script.code] || 0) + 1;
+  });
+  const [dominant, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  if (!dominant) return null;
+
+  const code = dominant === 'arabic'
+    ? ((prose.match(URDU_LETTERS) || []).length > (prose.match(ARABIC_LETTERS) || []).length ? 'ur' : 'ar')
+    : dominant;
+  return { code, confidence: Number((count / letters.length).toFixed(2)) };
+}
+
+// Translate `text` into the `to` language with the translation model; throws on an empty reply
+async function translate({ text, to, from, model = LANGUAGE.translationModel }) {
+  const source = from ? ` from ${languageName(from)}` : '';
+  const { content } = await complete({
+    model,
+    messages: [{
+      role: 'user',
+      content: `Translate the text below${source} into ${languageName(to)}. Keep Markdown formatting, code blocks, numbers and proper names unchanged. Reply with the translation only.
+
+${text}`
+    }],
+    // Non-Latin scripts take several tokens per word
+    options: { temperature: 0.2, maxTokens: Math.min(8192, 256 + estimateTokens(text) * 4), timeout: 30000 }
+  });
+
+  const translated = splitReasoning(content).content.trim();
+  if (!translated) throw new Error('Translation came back empty');
+  return translated;
+}
+
+// First half of the translation pipeline: the prompt in English, for models that answer better in English.
+// Resolves to { text, from } where `from` is the prompt's detected language (null when too short to tell).
+async function translatePrompt(prompt) {
+  const from = detectLanguage(prompt)?.code || null;
+  if (from === 'en') return { text: prompt, from };
+  return { text: await translate({ text: prompt, to: 'en', from }), from };
+}
+
+// Whether a request in `language` goes through English; `requested` is the request's own choice, if any
+const usesPipeline = (language, requested) =>
+  Boolean(language && language !== 'en' && (requested ?? LANGUAGE.pipeline.includes(language)));
+
+// Validates the request's `language`; returns an error message or null
+const validateLanguage = (language) => (language !== undefined && !isLanguage(language)
+  ? `language must be one of ${Object.keys(LANGUAGE_NAMES).join(', ')}`
+  : null);
+
+// Metadata for an answer: { requested?, detected, confidence } with detected null when the text is too short
+const describeLanguage = (text, requested) => {
+  const detected = detectLanguage(text);
+  return { ...(requested && { requested }), detected: detected?.code || null, confidence: detected?.confidence ?? null };
+};
+
+const mismatched = (text, requested) => {
+  const detected = detectLanguage(text);
+  return Boolean(requested && detected && detected.code !== requested);
+};
+
+// Makes sure `answer.content` is in the `requested` language. On a mismatch the steps in LANGUAGE.onMismatch run
+// in order: 'retry' awaits `retry()` (a fresh { content, ... } answer; skipped when not given) and 'translate'
+// rewrites the content. Resolves to { answer, language } where language is describeLanguage() plus
+// `action` ('retried' or 'translated') when a step fixed the answer, `translatedFrom`, or `mismatch: true`
+// when no step could.
+async function enforceLanguage({ answer, requested, retry, steps = LANGUAGE.onMismatch }) {
+  if (!mismatched(answer.content, requested)) return { answer, language: describeLanguage(answer.content, requested) };
+
+  let current = answer;
+  for (const step of steps) {
+    try {
+      if (step === 'retry' && retry) {
+        current = await retry();
+        if (!mismatched(current.content, requested)) {
+          return { answer: current, language: { ...describeLanguage(current.content, requested), action: 'retried' } };
+        }
+      } else if (step === 'translate') {
+        const from = detectLanguage(current.content)?.code;
+        const content = await translate({ text: current.content, to: requested, from });
+        return {
+          answer:   { ...current, content },
+          language: { ...describeLanguage(content, requested), action: 'translated', translatedFrom: from }
+        };
+      }
+    } catch (error) {
+      console.error(`Language ${step} failed: ${error.message}`);
+    }
+  }
+
+  return { answer: current, language: { ...describeLanguage(current.content, requested), mismatch: true } };
+}
+
+module.exports = {
+  detectLanguage,
+  describeLanguage,
+  enforceLanguage,
+  translate,
+  translatePrompt,
+  usesPipeline,
+  languageInstruction,
+  languageName,
+  isLanguage,
+  validateLanguage,
+  LANGUAGE,
+  LANGUAGE_NAMES
+};
@@ -0,0 +1,8 @@
+// Must run after `protected`; only users with the admin role get through
+const admin=(req,res,next)=>{
+    if(req.user?.role!=='admin'){
+        return res.status(403).json({msg:'Forbidden'});
+    }
+    next();
+}
+module.exports=admin;
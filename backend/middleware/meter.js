@@ -0,0 +1,30 @@
+const { runMetered, saveMeter, quotaStatus, exceededQuota } = require('../utility/usage');
+
+// Attribute model usage to the signed-in user and `route`, rejecting requests once a quota is spent.
+// Mount after `protected`: every metered request has a user to bill.
+const meter = (route) => async (req, res, next) => {
+    try {
+        const exceeded = exceededQuota(await quotaStatus(req.user));
+        if (exceeded) {
+            res.set('Retry-After', Math.ceil((exceeded.resetAt - Date.now()) / 1000));
+            return res.status(429).json({
+                error: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} token quota exceeded`,
+                quota: exceeded,
+                resetAt: exceeded.resetAt
+            });
+        }
+    } catch (error) {
+        console.error('Quota check failed:', error);
+        return res.status(500).json({ error: 'Quota check failed' });
+    }
+
+    const usage = { user: req.user._id, route, models: new Map() };
+    // 'close' also fires when a streaming client disconnects, so partial usage is still saved;
+    // calls that finish later are saved as they complete (see recordUsage)
+    res.once('close', () => {
+        saveMeter(usage).catch(error => console.error('Error while saving usage:', error));
+    });
+    runMetered(usage, next);
+};
+
+module.exports = meter;
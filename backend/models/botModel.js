@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const botSchema = new mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [80, 'Title must be at most 80 characters']
+    },
+    // System instruction prepended to every conversation with the bot
+    instruction: {
+        type: String,
+        required: true,
+        maxlength: [4000, 'Instruction must be at most 4000 characters']
+    },
+    // Restricts model routing to these ids; empty means any expert model
+    preferredModels: {
+        type: [String],
+        default: []
+    },
+    language: {
+        type: String,
+        default: 'en'
+    },
+    // Reuse answers to near-duplicate questions instead of calling a model again
+    semanticCache: {
+        type: Boolean,
+        default: false
+    },
+    // Emoji or image URL shown on the bot's card
+    avatar: {
+        type: String,
+        default: ''
+    },
+
+},{timestamps: true})
+
+const Bot = mongoose.model('Bot', botSchema);
+
+module.exports = Bot;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Persistent tier of the response cache; Mongo's TTL monitor removes expired entries
+const cacheEntrySchema = new mongoose.Schema({
+
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    modelId: String,
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+},{timestamps: true})
+
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CacheEntry = mongoose.model('CacheEntry', cacheEntrySchema);
+
+module.exports = CacheEntry;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        default: 'New chat',
+        trim: true
+    },
+    // Which chat surface owns the conversation: 'router', 'fusion', 'farming', 'medical', ...
+    bot: {
+        type: String,
+        default: 'router'
+    },
+    language: {
+        type: String,
+        default: 'en'
+    },
+
+},{timestamps: true})
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A user's rating of one assistant message, with a snapshot of what was rated so judge quality can be audited
+const feedbackSchema = new mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    rating: {
+        type: String,
+        enum: ['up', 'down'],
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    bot: String,
+    modelId: String,
+    prompt: String,
+    response: String,
+    candidates: [String],
+    // The judge verdict for fusion answers: strategy and per-candidate scores
+    judge: mongoose.Schema.Types.Mixed,
+
+},{timestamps: true})
+
+feedbackSchema.index({ user: 1, message: 1 }, { unique: true });
+feedbackSchema.index({ createdAt: -1 });
+
+const Feedback = mongoose.model('Feedback', feedbackSchema);
+
+module.exports = Feedback;
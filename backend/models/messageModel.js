@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true,
+        index: true
+    },
+    role: {
+        type: String,
+        enum: ['system', 'user', 'assistant'],
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    // Generation metadata, only set on assistant messages
+    modelId: String,
+    // The model's <think> trace, kept apart from the answer
+    reasoning: String,
+    candidates: [String],
+    // Full text of every fan-out answer, for side-by-side comparison
+    candidateResponses: [{
+        modelId: String,
+        content: String,
+        latency: Number
+    }],
+    judge: mongoose.Schema.Types.Mixed,
+    analysis: mongoose.Schema.Types.Mixed,
+    latency: Number,
+    // Set when a regenerated answer replaced this one; hidden from the history and reopened chats
+    superseded: Boolean,
+
+},{timestamps: true})
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Learned routing outcome counts for one model on one prompt category
+const routingStatSchema = new mongoose.Schema({
+
+    modelId: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String,
+        required: true
+    },
+    // Fractional so partial rewards can be recorded
+    wins: {
+        type: Number,
+        default: 0
+    },
+    losses: {
+        type: Number,
+        default: 0
+    },
+    // Exponential moving average in ms
+    avgLatency: {
+        type: Number,
+        default: null
+    },
+    latencySamples: {
+        type: Number,
+        default: 0
+    },
+
+},{timestamps: true})
+
+routingStatSchema.index({ modelId: 1, category: 1 }, { unique: true });
+
+const RoutingStat = mongoose.model('RoutingStat', routingStatSchema);
+
+module.exports = RoutingStat;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One record per model per request: the tokens a user spent on a route
+const usageSchema = new mongoose.Schema({
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    route: {
+        type: String,
+        required: true
+    },
+    modelId: {
+        type: String,
+        required: true
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    calls: {
+        type: Number,
+        default: 1
+    },
+    // True when at least one call had no provider `usage` field and tokens were estimated
+    estimated: {
+        type: Boolean,
+        default: false
+    },
+
+},{timestamps: true})
+
+usageSchema.index({ user: 1, createdAt: -1 });
+
+const Usage = mongoose.model('Usage', usageSchema);
+
+module.exports = Usage;
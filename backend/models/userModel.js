@@ -17,6 +17,16 @@ const userSchema = new mongoose.Schema({
         required: true,
        
      },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
+    // Token quotas; null falls back to the server default, 0 means unlimited
+    quota: {
+        daily: { type: Number, default: null, min: 0 },
+        monthly: { type: Number, default: null, min: 0 }
+    },
      
 
 
@@ -0,0 +1,79 @@
+const { postJson, postStream, estimateTokens } = require('./http');
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini has no system role and calls the assistant "model"
+function toGeminiContents(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const contents = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+  return { system, contents };
+}
+
+function buildBody(messages, options) {
+  const { system, contents } = toGeminiContents(messages);
+  return {
+    contents,
+    ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+    generationConfig: {
+      temperature:     options.temperature ?? 0.7,
+      maxOutputTokens: options.maxTokens ?? 1024,
+      ...(options.topP !== undefined && { topP: options.topP }),
+      ...(options.stop && { stopSequences: options.stop }),
+      ...(options.seed !== undefined && { seed: options.seed })
+    }
+  };
+}
+
+function buildUsage(meta, messages, content) {
+  return meta
+    ? { promptTokens: meta.promptTokenCount, completionTokens: meta.candidatesTokenCount || 0, estimated: false }
+    : {
+        promptTokens:     estimateTokens(messages.map(m => m.content).join('\n')),
+        completionTokens: estimateTokens(content),
+        estimated:        true
+      };
+}
+
+function apiKey() {
+  if (!process.env.GEMINI_API_KEY) throw new Error('Missing GEMINI_API_KEY for gemini provider');
+  return process.env.GEMINI_API_KEY;
+}
+
+const textOf = (data) => data?.candidates?.[0]?.content?.parts?.map(p => p.text).join('') ?? '';
+
+async function complete({ model, messages, options = {} }) {
+  const data = await postJson(`${BASE_URL}/${model}:generateContent?key=${apiKey()}`, {
+    label:   'Gemini',
+    timeout: options.timeout,
+    body:    buildBody(messages, options)
+  });
+
+  const content = textOf(data);
+  return { content, model, provider: 'gemini', usage: buildUsage(data?.usageMetadata, messages, content) };
+}
+
+async function stream({ model, messages, options = {}, onToken }) {
+  let content = '';
+  let meta = null;
+
+  await postStream(`${BASE_URL}/${model}:streamGenerateContent?alt=sse&key=${apiKey()}`, {
+    label:   'Gemini',
+    timeout: options.timeout,
+    body:    buildBody(messages, options),
+    onData: (data) => {
+      if (data.usageMetadata) meta = data.usageMetadata;
+      const token = textOf(data);
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+    }
+  });
+
+  return { content, model, provider: 'gemini', usage: buildUsage(meta, messages, content) };
+}
+
+module.exports = { name: 'gemini', complete, stream, toGeminiContents };
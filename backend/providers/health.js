@@ -0,0 +1,112 @@
+// Per-model circuit breaker. A model whose recent calls mostly fail is "open" and skipped without
+// a network call; after a cooldown one probe call is let through ("half-open") and its outcome
+// decides whether the model closes again or stays open for another cooldown.
+const BREAKER = {
+  window:      parseInt(process.env.BREAKER_WINDOW) || 20,
+  minCalls:    parseInt(process.env.BREAKER_MIN_CALLS) || 4,
+  failureRate: parseFloat(process.env.BREAKER_FAILURE_RATE) || 0.5,
+  cooldown:    parseInt(process.env.BREAKER_COOLDOWN_MS) || 30000
+};
+
+const circuits = new Map();
+
+const circuitFor = (model) => {
+  if (!circuits.has(model)) {
+    circuits.set(model, { state: 'closed', outcomes: [], openedAt: null, probing: false, lastError: null, lastFailureAt: null });
+  }
+  return circuits.get(model);
+};
+
+const cooledDown = (circuit) => Date.now() - circuit.openedAt >= BREAKER.cooldown;
+
+const failureRate = ({ outcomes }) =>
+  outcomes.length ? outcomes.filter(ok => !ok).length / outcomes.length : 0;
+
+// True when a call to the model would be attempted; used to filter fan-out and routing without side effects
+function isAvailable(model) {
+  const circuit = circuits.get(model);
+  if (!circuit || circuit.state === 'closed') return true;
+  if (circuit.state === 'open') return cooledDown(circuit);
+  return !circuit.probing;
+}
+
+// Called before every provider call. Throws when the circuit is open; otherwise claims the probe if half-open.
+function beforeCall(model) {
+  const circuit = circuitFor(model);
+  if (circuit.state === 'open' && cooledDown(circuit)) circuit.state = 'half-open';
+
+  if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.probing)) {
+    const retryIn = Math.max(BREAKER.cooldown - (Date.now() - circuit.openedAt), 0);
+    throw Object.assign(new Error(`Model ${model} is unavailable (circuit open, retry in ${Math.ceil(retryIn / 1000)}s)`), {
+      code: 'CIRCUIT_OPEN'
+    });
+  }
+  if (circuit.state === 'half-open') circuit.probing = true;
+}
+
+function open(circuit) {
+  Object.assign(circuit, { state: 'open', openedAt: Date.now(), probing: false });
+}
+
+function recordSuccess(model) {
+  const circuit = circuitFor(model);
+  if (circuit.state === 'half-open') {
+    Object.assign(circuit, { state: 'closed', outcomes: [], openedAt: null, probing: false });
+  }
+  circuit.outcomes = [...circuit.outcomes, true].slice(-BREAKER.window);
+}
+
+function recordFailure(model, error) {
+  const circuit = circuitFor(model);
+  Object.assign(circuit, { lastError: error?.message || String(error), lastFailureAt: new Date() });
+
+  if (circuit.state === 'half-open') return open(circuit);
+  circuit.outcomes = [...circuit.outcomes, false].slice(-BREAKER.window);
+  if (circuit.outcomes.length >= BREAKER.minCalls && failureRate(circuit) >= BREAKER.failureRate) open(circuit);
+}
+
+// Only failures that say something about the model count: timeouts, network errors, 5xx and 429.
+// Any other 4xx is the request's own fault (say a bad stop or seed override) and must not open the circuit for everyone.
+function isModelFailure(error) {
+  const status = Number(error?.message?.match(/API (\d{3})/)?.[1]);
+  if (status) return status >= 500 || status === 429;
+  return /timed out|stalled/.test(error?.message) || error?.type === 'system' || error?.name === 'FetchError';
+}
+
+// Run one provider call through the model's breaker
+async function guard(model, call) {
+  beforeCall(model);
+  try {
+    const result = await call();
+    recordSuccess(model);
+    return result;
+  } catch (error) {
+    if (isModelFailure(error)) recordFailure(model, error);
+    // A rejected request says nothing either way, so a half-open model waits for the next probe
+    else circuitFor(model).probing = false;
+    throw error;
+  }
+}
+
+// Snapshot for GET /api/ml/health; models never called yet report as closed
+function healthStatus(models = []) {
+  const ids = [...new Set([...models, ...circuits.keys()])];
+  return {
+    breaker: BREAKER,
+    models: ids.map(id => {
+      const circuit = circuitFor(id);
+      const state = circuit.state === 'open' && cooledDown(circuit) ? 'half-open' : circuit.state;
+      return {
+        model:       id,
+        state,
+        available:   isAvailable(id),
+        calls:       circuit.outcomes.length,
+        failureRate: Number(failureRate(circuit).toFixed(2)),
+        ...(circuit.openedAt && { openedAt: new Date(circuit.openedAt), retryAt: new Date(circuit.openedAt + BREAKER.cooldown) }),
+        ...(circuit.lastError && { lastError: circuit.lastError, lastFailureAt: circuit.lastFailureAt })
+      };
+    })
+  };
+}
+
+module.exports = { guard, isAvailable, healthStatus, BREAKER };
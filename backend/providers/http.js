@@ -0,0 +1,80 @@
+const fetch = require('node-fetch');
+const { AbortController } = require('abort-controller');
+
+// POST a JSON body and parse the JSON reply, aborting after `timeout` ms
+async function postJson(url, { headers = {}, body, timeout = 30000, label = 'Provider' }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!res.ok) {
+      const errBody = await res.text();
+      throw new Error(`${label} API ${res.status}: ${errBody.slice(0, 200)}`);
+    }
+
+    return await res.json();
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`${label} API timed out after ${timeout}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// POST a JSON body and read a Server-Sent Events reply, calling onData for every `data:` payload.
+// The timeout is an idle timeout: it restarts whenever a chunk arrives.
+async function postStream(url, { headers = {}, body, timeout = 30000, label = 'Provider', onData }) {
+  const controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!res.ok) {
+      const errBody = await res.text();
+      throw new Error(`${label} API ${res.status}: ${errBody.slice(0, 200)}`);
+    }
+
+    let buffer = '';
+    for await (const chunk of res.body) {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeout);
+
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (!payload) continue;
+        if (payload === '[DONE]') return;
+        onData(JSON.parse(payload));
+      }
+    }
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`${label} API stream stalled for ${timeout}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Rough token estimate (~4 chars per token) for providers that omit usage
+function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4);
+}
+
+module.exports = { postJson, postStream, estimateTokens };
@@ -0,0 +1,76 @@
+const nvidia = require('./nvidia');
+const gemini = require('./gemini');
+const openai = require('./openai');
+const mock   = require('./mock');
+const { getModel } = require('../utility/modelRegistry');
+const { recordUsage } = require('../utility/usage');
+const { guard } = require('./health');
+
+const PROVIDERS = { nvidia, gemini, openai, mock };
+
+// Registry entries with their own OpenAI-compatible endpoint get a provider per endpoint
+const endpointProviders = new Map();
+
+function endpointProvider({ provider, endpoint, apiKeyEnv }) {
+  const key = `${endpoint}|${apiKeyEnv}`;
+  if (!endpointProviders.has(key)) {
+    endpointProviders.set(key, openai.createOpenAICompatible({ name: provider, baseURL: () => endpoint, apiKeyEnv }));
+  }
+  return endpointProviders.get(key);
+}
+
+// "openai:gpt-4o-mini" pins a provider explicitly; otherwise look the model up in the registry
+function resolveModel(modelRef) {
+  const override = process.env.PROVIDER_OVERRIDE;
+  const sep = modelRef.indexOf(':');
+  if (sep > 0 && PROVIDERS[modelRef.slice(0, sep)]) {
+    const providerName = modelRef.slice(0, sep);
+    return { provider: PROVIDERS[override] || PROVIDERS[providerName], model: modelRef.slice(sep + 1) };
+  }
+
+  const entry = getModel(modelRef);
+  const provider = entry?.endpoint
+    ? endpointProvider(entry)
+    : PROVIDERS[entry?.provider || (modelRef.startsWith('gemini-') ? 'gemini' : 'nvidia')];
+
+  if (!override && !provider) throw new Error(`Unknown provider "${entry.provider}" for model ${modelRef}`);
+  return { provider: PROVIDERS[override] || provider, model: modelRef };
+}
+
+function registerProvider(name, provider) {
+  if (typeof provider?.complete !== 'function') throw new Error(`Provider ${name} must implement complete()`);
+  PROVIDERS[name] = { name, ...provider };
+}
+
+// Single entry point: complete({ model, messages, options }) -> { content, model, provider, usage }.
+// Every call goes through the model's circuit breaker (./health).
+async function complete({ model, messages, options = {} }) {
+  if (!model) throw new Error('model is required');
+  if (!Array.isArray(messages) || !messages.length) throw new Error('messages must be a non-empty array');
+
+  const { provider, model: providerModel } = resolveModel(model);
+  const result = await guard(model, () => provider.complete({ model: providerModel, messages, options }));
+  recordUsage(model, result.usage);
+  return { ...result, model };
+}
+
+// Same as complete(), but calls onToken(text) as the answer is generated.
+// Providers without native streaming emit the whole answer as a single token.
+async function stream({ model, messages, options = {}, onToken = () => {} }) {
+  if (!model) throw new Error('model is required');
+  if (!Array.isArray(messages) || !messages.length) throw new Error('messages must be a non-empty array');
+
+  const { provider, model: providerModel } = resolveModel(model);
+  if (typeof provider.stream !== 'function') {
+    const result = await guard(model, () => provider.complete({ model: providerModel, messages, options }));
+    recordUsage(model, result.usage);
+    onToken(result.content);
+    return { ...result, model };
+  }
+
+  const result = await guard(model, () => provider.stream({ model: providerModel, messages, options, onToken }));
+  recordUsage(model, result.usage);
+  return { ...result, model };
+}
+
+module.exports = { complete, stream, resolveModel, registerProvider, PROVIDERS };
@@ -0,0 +1,34 @@
+const { estimateTokens } = require('./http');
+
+// Offline provider for local development: echoes the last user turn without any network call
+async function complete({ model, messages, options = {} }) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  let content = `[mock:${model}] ${lastUser ? lastUser.content : ''}`.slice(0, (options.maxTokens ?? 1024) * 4);
+  // Cut at the first stop sequence, like a real model would
+  const stopAt = Math.min(...(options.stop || []).map(s => content.indexOf(s)).filter(i => i >= 0));
+  if (Number.isFinite(stopAt)) content = content.slice(0, stopAt);
+
+  if (options.latency) await new Promise(resolve => setTimeout(resolve, options.latency));
+
+  return {
+    content,
+    model,
+    provider: 'mock',
+    usage: {
+      promptTokens:     estimateTokens(messages.map(m => m.content).join('\n')),
+      completionTokens: estimateTokens(content),
+      estimated:        true
+    }
+  };
+}
+
+async function stream({ model, messages, options = {}, onToken }) {
+  const result = await complete({ model, messages, options });
+  for (const word of result.content.match(/\S+\s*/g) || []) {
+    onToken(word);
+    await new Promise(resolve => setTimeout(resolve, options.tokenDelay ?? 20));
+  }
+  return result;
+}
+
+module.exports = { name: 'mock', complete, stream };
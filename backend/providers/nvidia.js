@@ -0,0 +1,7 @@
+const { createOpenAICompatible } = require('./openai');
+
+module.exports = createOpenAICompatible({
+  name:      'nvidia',
+  baseURL:   () => process.env.NVIDIA_BASE_URL || 'https://integrate.api.nvidia.com/v1',
+  apiKeyEnv: 'NVIDIA_API_KEY'
+});
@@ -0,0 +1,74 @@
+const { postJson, postStream, estimateTokens } = require('./http');
+
+function buildUsage(usage, messages, content) {
+  return usage
+    ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens, estimated: false }
+    : {
+        promptTokens:     estimateTokens(messages.map(m => m.content).join('\n')),
+        completionTokens: estimateTokens(content),
+        estimated:        true
+      };
+}
+
+// Any endpoint speaking the OpenAI chat/completions protocol (NVIDIA NIM, OpenAI, vLLM, Ollama...)
+function createOpenAICompatible({ name, baseURL, apiKeyEnv }) {
+  function request({ model, messages, options }, stream) {
+    const apiKey = process.env[apiKeyEnv];
+    if (!apiKey) throw new Error(`Missing ${apiKeyEnv} for ${name} provider`);
+
+    return {
+      label:   name,
+      timeout: options.timeout,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      body: {
+        model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens:  options.maxTokens ?? 1024,
+        ...(options.topP !== undefined && { top_p: options.topP }),
+        ...(options.stop && { stop: options.stop }),
+        ...(options.seed !== undefined && { seed: options.seed }),
+        // Ask for the token counts in the final chunk so streamed calls aren't estimated
+        ...(stream && { stream_options: { include_usage: true } }),
+        stream
+      }
+    };
+  }
+
+  async function complete({ model, messages, options = {} }) {
+    const data = await postJson(`${baseURL()}/chat/completions`, request({ model, messages, options }, false));
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') throw new Error(`${name} API returned no content`);
+
+    return { content, model, provider: name, usage: buildUsage(data.usage, messages, content) };
+  }
+
+  async function stream({ model, messages, options = {}, onToken }) {
+    let content = '';
+    let usage = null;
+
+    await postStream(`${baseURL()}/chat/completions`, {
+      ...request({ model, messages, options }, true),
+      onData: (data) => {
+        if (data.usage) usage = data.usage;
+        const token = data?.choices?.[0]?.delta?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+    });
+
+    return { content, model, provider: name, usage: buildUsage(usage, messages, content) };
+  }
+
+  return { name, complete, stream };
+}
+
+module.exports = createOpenAICompatible({
+  name:      'openai',
+  baseURL:   () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKeyEnv: 'OPENAI_API_KEY'
+});
+module.exports.createOpenAICompatible = createOpenAICompatible;
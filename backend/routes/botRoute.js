@@ -0,0 +1,30 @@
+const router = require('express').Router();
+const {
+    listBots,
+    botChat,
+    createCustomBoat,
+    listCustomBots,
+    getCustomBot,
+    updateCustomBot,
+    deleteCustomBot
+} = require('../controllers/botController');
+
+const protected = require('../middleware/protected')
+const meter = require('../middleware/meter')
+
+router.get('/', listBots);
+
+// A user's own custom bots
+router.get('/custom', protected, listCustomBots);
+router.post('/custom', protected, createCustomBoat);
+router.get('/custom/:id', protected, getCustomBot);
+router.put('/custom/:id', protected, updateCustomBot);
+router.delete('/custom/:id', protected, deleteCustomBot);
+
+// :botId is a built-in bot name or the id of one of the caller's custom bots
+// Bot chats spend the same provider keys as /api/ml, so they are billed and rate limited the same way
+router.post('/:botId/chat', protected, meter('bots'), botChat);
+
+
+
+module.exports = router;
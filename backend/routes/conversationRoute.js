@@ -0,0 +1,23 @@
+const router = require('express').Router();
+const protected=require('../middleware/protected')
+
+const {
+    listConversations,
+    createConversation,
+    getConversation,
+    updateConversation,
+    deleteConversation,
+    addMessages
+}=require('../controllers/conversationController');
+
+
+router.get('/', protected, listConversations);
+router.post('/', protected, createConversation);
+router.get('/:id', protected, getConversation);
+router.put('/:id', protected, updateConversation);
+router.delete('/:id', protected, deleteConversation);
+router.post('/:id/messages', protected, addMessages);
+
+
+
+module.exports=router;
@@ -0,0 +1,13 @@
+const router = require('express').Router();
+const protected=require('../middleware/protected')
+const admin=require('../middleware/admin')
+
+const { submitFeedback, listFeedback }=require('../controllers/feedbackController');
+
+
+router.post('/', protected, submitFeedback);
+router.get('/', protected, admin, listFeedback);
+
+
+
+module.exports=router;
@@ -1,10 +1,26 @@
 const router = require('express').Router();
-const {judgeAndGenerate,llmController} = require('../controllers/mlcontroler');
+const {
+    judgeAndGenerate,
+    llmController,
+    listModelsController,
+    routingTableController,
+    cacheStatsController,
+    healthController
+} = require('../controllers/mlcontroler');
 
 const protected = require('../middleware/protected')
+const meter = require('../middleware/meter')
+const admin = require('../middleware/admin')
 
-router.post('/judgeAndGenerate',  judgeAndGenerate);
-router.post('/llm', llmController);
+// Model calls are billed to the signed-in user and count against their token quota
+router.post('/judgeAndGenerate', protected, meter('judgeAndGenerate'), judgeAndGenerate);
+router.post('/llm', protected, meter('llm'), llmController);
+router.get('/models', protected, listModelsController);
+router.get('/health', protected, healthController);
+
+// Admins can inspect what the learned router has picked up from verdicts and feedback, and cache hit rates
+router.get('/routing', protected, admin, routingTableController);
+router.get('/cache', protected, admin, cacheStatsController);
 
 
 
@@ -0,0 +1,11 @@
+const router = require('express').Router();
+const protected=require('../middleware/protected')
+
+const { getUsage }=require('../controllers/usageController');
+
+
+router.get('/', protected, getUsage);
+
+
+
+module.exports=router;
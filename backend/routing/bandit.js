@@ -0,0 +1,33 @@
+// Sampling helpers for the bandit router
+
+// Standard normal via Box-Muller
+function sampleNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Gamma(shape, 1) by Marsaglia-Tsang; shapes below 1 use the boost trick
+function sampleGamma(shape) {
+  if (shape < 1) return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = Math.random();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha);
+  return x / (x + sampleGamma(beta));
+}
+
+module.exports = { sampleBeta };
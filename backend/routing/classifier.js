@@ -0,0 +1,41 @@
+const { estimateTokens } = require('../providers/http');
+
+// Offline stand-in for the Gemini prompt analysis: the same { coding, reasoning, math, context }
+// vector on a 1-100 scale, built from keyword and pattern features, plus a confidence in [0, 1].
+
+const CODE_BLOCK = /```|^( {4}|\t)\S/m;
+const CODE_SYNTAX = /(=>|\bfunction\b|\bdef\b|\bclass\b|\breturn\b|\bimport\b|#include|console\.log|print\(|;\s*$|\{\s*$|<\/?\w+>|\w+\(\)|\bSELECT\b.+\bFROM\b)/gim;
+const CODE_WORDS = /\b(code|coding|program|script|function|bug|debug|error|exception|stack ?trace|compile|api|regex|sql|python|javascript|typescript|java|c\+\+|golang|rust|react|node|html|css|algorithm|refactor|unit test|git)\b/gi;
+const MATH_WORDS = /\b(solve|equation|integral|integrate|derivative|differentiate|calculate|compute|probability|statistics|prove|proof|theorem|matrix|vector|algebra|geometry|percent(age)?|sum of|factor(ial|ise|ize)?|log(arithm)?|sqrt|limit)\b/gi;
+const MATH_SYMBOLS = /[0-9+\-*/^=<>%()√∑∫π≤≥≠∞]/g;
+const REASONING_WORDS = /\b(why|explain|compare|contrast|analy[sz]e|evaluate|pros and cons|trade-?offs?|should i|implications?|reason|argue|justify|strategy|plan|step by step|what if|difference between|cause|consequences?)\b/gi;
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+const clamp = (value) => Math.round(Math.min(Math.max(value, 1), 100));
+
+// `contextTokens` is the smallest context window the prompt may be routed to
+function classifyPrompt(prompt, { contextTokens = 8192 } = {}) {
+  const text = String(prompt || '');
+  const words = Math.max(text.split(/\s+/).filter(Boolean).length, 1);
+
+  const codeHits = count(text, CODE_WORDS) + count(text, CODE_SYNTAX) + (CODE_BLOCK.test(text) ? 4 : 0);
+  const mathHits = count(text, MATH_WORDS);
+  const symbolDensity = count(text.replace(/```[\s\S]*?```/g, ''), MATH_SYMBOLS) / Math.max(text.length, 1);
+  const reasoningHits = count(text, REASONING_WORDS);
+
+  const requirements = {
+    coding:    clamp(15 + codeHits * 18),
+    math:      clamp(15 + mathHits * 18 + Math.min(symbolDensity * 300, 45)),
+    reasoning: clamp(25 + reasoningHits * 15 + Math.min(words / 8, 20)),
+    context:   clamp((estimateTokens(text) / contextTokens) * 100)
+  };
+
+  // Confident when one need clearly dominates and the prompt gave real signal
+  const [top, second] = [requirements.coding, requirements.math, requirements.reasoning].sort((a, b) => b - a);
+  const signal = codeHits + mathHits + reasoningHits + (symbolDensity > 0.15 ? 2 : 0);
+  const confidence = Math.min(1, (top - second) / 40 + Math.min(signal, 4) * 0.1);
+
+  return { requirements, confidence: Number(confidence.toFixed(2)) };
+}
+
+module.exports = { classifyPrompt };
@@ -0,0 +1,61 @@
+const { getModel } = require('../utility/modelRegistry');
+const { currentUsage } = require('../utility/usage');
+
+// Cost strategies a request can ask for: 'best' routes on quality alone (the learned router),
+// 'cheapest' on price alone, 'balanced' takes the cheapest model close enough to the best one
+const COST_STRATEGIES = ['cheapest', 'balanced', 'best'];
+
+const COST = {
+  strategy:  COST_STRATEGIES.includes(process.env.COST_STRATEGY) ? process.env.COST_STRATEGY : 'best',
+  // 'balanced' accepts models whose expected score is at least this fraction of the best score
+  tolerance: parseFloat(process.env.BALANCED_TOLERANCE) || 0.9
+};
+
+// USD for a token count, from the registry's per-token prices; unknown models cost nothing
+function tokenCost(modelId, { promptTokens = 0, completionTokens = 0 }) {
+  const cost = getModel(modelId)?.cost;
+  if (!cost) return 0;
+  return promptTokens * cost.prompt + completionTokens * cost.completion;
+}
+
+// Upper bound for one call: the prompt as sent plus an answer that uses the whole token allowance
+const estimateCallCost = (modelId, promptTokens, maxTokens) =>
+  tokenCost(modelId, { promptTokens, completionTokens: maxTokens });
+
+const roundUsd = (usd) => Number(usd.toFixed(6));
+
+// What the current request has spent so far, from the usage recorded by the provider layer.
+// `estimated` is true when any provider omitted token counts.
+function requestCost() {
+  const byModel = {};
+  let usd = 0;
+  let estimated = false;
+  currentUsage().forEach((usage, modelId) => {
+    const cost = tokenCost(modelId, usage);
+    byModel[modelId] = roundUsd(cost);
+    usd += cost;
+    estimated = estimated || usage.estimated;
+  });
+  return { usd: roundUsd(usd), estimated, byModel };
+}
+
+// Validates the request's { budget, strategy } options; returns an error message or null
+function validateCostOptions({ budget, strategy }) {
+  if (budget !== undefined && (typeof budget !== 'number' || !(budget > 0))) return 'budget must be a positive number of USD';
+  if (strategy !== undefined && !COST_STRATEGIES.includes(strategy)) return `strategy must be one of ${COST_STRATEGIES.join(', ')}`;
+  return null;
+}
+
+const overBudget = (message, cheapest) =>
+  Object.assign(new Error(message), { code: 'OVER_BUDGET', ...(cheapest !== undefined && { cheapest: roundUsd(cheapest) }) });
+
+module.exports = {
+  tokenCost,
+  estimateCallCost,
+  requestCost,
+  validateCostOptions,
+  overBudget,
+  roundUsd,
+  COST,
+  COST_STRATEGIES
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const RoutingStat = require('../models/routingStatModel');
+const { sampleBeta } = require('./bandit');
+
+const CATEGORIES = ['coding', 'math', 'reasoning', 'general'];
+const STRATEGIES = ['thompson', 'epsilon-greedy', 'static'];
+
+const ROUTER = {
+  strategy:      STRATEGIES.includes(process.env.ROUTER_STRATEGY) ? process.env.ROUTER_STRATEGY : 'thompson',
+  epsilon:       parseFloat(process.env.ROUTER_EPSILON) || 0.1,
+  // Benchmark capability scores count as this many observed outcomes until real ones arrive
+  priorWeight:   4,
+  latencyTarget: parseInt(process.env.ROUTER_LATENCY_TARGET) || 8000,
+  refreshMs:     30000
+};
+
+// Working copy of the stats; Mongo is the durable store shared between server instances
+const stats = new Map();
+const EMPTY = { wins: 0, losses: 0, avgLatency: null, latencySamples: 0 };
+let loadedAt = 0;
+
+const statKey = (modelId, category) => `${modelId}|${category}`;
+const dbReady = () => mongoose.connection.readyState === 1;
+
+async function refreshStats() {
+  if (!dbReady() || Date.now() - loadedAt < ROUTER.refreshMs) return;
+  loadedAt = Date.now();
+  try {
+    const docs = await RoutingStat.find().lean();
+    docs.forEach(({ modelId, category, wins, losses, avgLatency, latencySamples }) =>
+      stats.set(statKey(modelId, category), { wins, losses, avgLatency, latencySamples })
+    );
+  } catch (error) {
+    console.error(`Loading routing stats failed: ${error.message}`);
+  }
+}
+
+// Bucket a requirement vector ({ coding, reasoning, math, context } on a 1-100 scale) by its strongest need
+function categorize(requirements = {}) {
+  const [category, score] = ['coding', 'math', 'reasoning']
+    .map(key => [key, Number(requirements[key]) || 0])
+    .sort((a, b) => b[1] - a[1])[0];
+  return score >= 40 ? category : 'general';
+}
+
+function priorMean({ capabilities }, category) {
+  const value = category === 'general'
+    ? (capabilities.coding + capabilities.math + capabilities.reasoning) / 3
+    : capabilities[category];
+  return Math.min(Math.max(value / 100, 0.01), 0.99);
+}
+
+// Beta posterior over "this model wins for this category", seeded from its benchmarks
+function posterior(model, category) {
+  const observed = stats.get(statKey(model.id, category)) || EMPTY;
+  const mean = priorMean(model, category);
+  return {
+    ...observed,
+    alpha: 1 + ROUTER.priorWeight * mean + observed.wins,
+    beta:  1 + ROUTER.priorWeight * (1 - mean) + observed.losses
+  };
+}
+
+// Full credit up to the latency target, shrinking to half at four times the target
+function latencyFactor(avgLatency) {
+  if (!avgLatency || avgLatency <= ROUTER.latencyTarget) return 1;
+  return Math.max(0.5, 1 - 0.5 * (avgLatency - ROUTER.latencyTarget) / (3 * ROUTER.latencyTarget));
+}
+
+// The original fixed weighted sum of benchmark numbers, kept as the 'static' strategy
+function staticScore({ context, capabilities }, requirements) {
+  const ctxWeight = Math.min((requirements.context || 0) / (context || 4096), 1);
+  return (
+    capabilities.coding    * ((requirements.coding    || 0) / 100) +
+    capabilities.reasoning * ((requirements.reasoning || 0) / 100) +
+    capabilities.math      * ((requirements.math      || 0) / 100) +
+    ctxWeight * 25
+  );
+}
+
+// Posterior mean win rate discounted for slowness: the router's current best guess for a model
+function expectedScore(model, category) {
+  const p = posterior(model, category);
+  return (p.alpha / (p.alpha + p.beta)) * latencyFactor(p.avgLatency);
+}
+
+const argmax = (items, score) =>
+  items.reduce((best, item) => {
+    const value = score(item);
+    return value > best.value ? { item, value } : best;
+  }, { item: items[0], value: -Infinity }).item;
+
+// Pick a model for the prompt's category. `models` are registry entries already filtered to what the caller allows.
+// Resolves to { modelId, category, strategy, explored } where `explored` marks a pick other than the current best guess.
+async function chooseModel({ requirements, models, strategy = ROUTER.strategy }) {
+  if (!models.length) throw new Error('No models to route between');
+  await refreshStats();
+
+  const category = categorize(requirements);
+  if (strategy === 'static') {
+    return { modelId: argmax(models, m => staticScore(m, requirements)).id, category, strategy, explored: false };
+  }
+
+  const greedy = argmax(models, model => expectedScore(model, category));
+
+  let pick = greedy;
+  if (strategy === 'epsilon-greedy') {
+    if (Math.random() < ROUTER.epsilon) pick = models[Math.floor(Math.random() * models.length)];
+  } else {
+    pick = argmax(models, model => {
+      const p = posterior(model, category);
+      return sampleBeta(p.alpha, p.beta) * latencyFactor(p.avgLatency);
+    });
+  }
+
+  return { modelId: pick.id, category, strategy, explored: pick.id !== greedy.id };
+}
+
+// `models` ordered best first by the same score chooseModel exploits, each with its `score`
+async function rankModels({ requirements, models, strategy = ROUTER.strategy }) {
+  await refreshStats();
+  const category = categorize(requirements);
+  const score = strategy === 'static'
+    ? (model) => staticScore(model, requirements)
+    : (model) => expectedScore(model, category);
+  return models.map(model => ({ ...model, score: score(model) })).sort((a, b) => b.score - a.score);
+}
+
+// Price-aware pick. `costs` maps model id -> estimated USD for this call. 'cheapest' ignores quality
+// (ties go to the better model); 'balanced' takes the cheapest model scoring within `tolerance` of the best.
+async function chooseByCost({ requirements, models, costs, strategy, tolerance }) {
+  if (!models.length) throw new Error('No models to route between');
+  const ranked = await rankModels({ requirements, models });
+  const eligible = strategy === 'balanced'
+    ? ranked.filter(m => m.score >= ranked[0].score * tolerance)
+    : ranked;
+  const pick = eligible.reduce((best, m) => (costs[m.id] < costs[best.id] ? m : best));
+  return { modelId: pick.id, category: categorize(requirements), strategy, explored: false };
+}
+
+// Record one outcome: `reward` in [0, 1] (judge win, thumbs up...) and/or a latency sample in ms
+async function recordOutcome({ modelId, category, reward, latency }) {
+  if (!CATEGORIES.includes(category)) return;
+
+  const key = statKey(modelId, category);
+  const current = { ...(stats.get(key) || EMPTY) };
+  const inc = {};
+
+  if (typeof reward === 'number') {
+    const r = Math.min(Math.max(reward, 0), 1);
+    current.wins += r;
+    current.losses += 1 - r;
+    Object.assign(inc, { wins: r, losses: 1 - r });
+  }
+  if (latency > 0) {
+    current.avgLatency = current.avgLatency === null ? latency : Math.round(0.8 * current.avgLatency + 0.2 * latency);
+    current.latencySamples += 1;
+    inc.latencySamples = 1;
+  }
+  if (!Object.keys(inc).length) return;
+  stats.set(key, current);
+
+  if (!dbReady()) return;
+  try {
+    await RoutingStat.updateOne(
+      { modelId, category },
+      { $inc: inc, $set: { avgLatency: current.avgLatency } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Saving routing outcome failed: ${error.message}`);
+  }
+}
+
+// Per-category view of the learned table for the admin endpoint
+async function routingTable(models) {
+  await refreshStats();
+
+  const table = Object.fromEntries(CATEGORIES.map(category => [category, models
+    .map(model => {
+      const p = posterior(model, category);
+      const trials = p.wins + p.losses;
+      return {
+        model:          model.id,
+        wins:           Number(p.wins.toFixed(2)),
+        losses:         Number(p.losses.toFixed(2)),
+        winRate:        trials ? Number((p.wins / trials).toFixed(3)) : null,
+        expected:       Number((p.alpha / (p.alpha + p.beta)).toFixed(3)),
+        priorMean:      Number(priorMean(model, category).toFixed(3)),
+        avgLatency:     p.avgLatency,
+        latencySamples: p.latencySamples
+      };
+    })
+    .sort((a, b) => b.expected - a.expected)
+  ]));
+
+  return {
+    strategy:      ROUTER.strategy,
+    epsilon:       ROUTER.epsilon,
+    latencyTarget: ROUTER.latencyTarget,
+    persisted:     dbReady(),
+    categories:    table
+  };
+}
+
+module.exports = { chooseModel, chooseByCost, rankModels, recordOutcome, routingTable, categorize, CATEGORIES, STRATEGIES };
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { estimateTokens } = require('../providers/http');
+const Conversation = require('../models/conversationModel');
+const Message = require('../models/messageModel');
+
+const ROLES = ['system', 'user', 'assistant'];
+const MAX_TURNS_STORED = 50;
+
+// Validate a client supplied message history; returns null when it is malformed
+const normalizeHistory = (messages) => {
+    if (!Array.isArray(messages)) return null;
+    const valid = messages.every(m => m && ROLES.includes(m.role) && typeof m.content === 'string');
+    return valid ? messages.map(({ role, content }) => ({ role, content })) : null;
+};
+
+// Drop the oldest turns until the conversation fits the model's context window,
+// leaving `reserve` tokens for the answer. System messages and the latest turn are always kept.
+const trimToContext = (messages, contextTokens = 4096, reserve = 1024) => {
+    const budget = Math.max(contextTokens - reserve, 0);
+    const system = messages.filter(m => m.role === 'system');
+    const turns = messages.filter(m => m.role !== 'system');
+    const last = turns.pop();
+
+    let used = [...system, last].reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const kept = [];
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(turns[i].content);
+        if (used + cost > budget) break;
+        used += cost;
+        kept.unshift(turns[i]);
+    }
+
+    // Never start the kept history with a dangling assistant reply
+    while (kept.length && kept[0].role === 'assistant') kept.shift();
+
+    return [...system, ...kept, last];
+};
+
+// Resolve the signed-in user's conversation a request continues; an explicit `messages` history wins over stored turns.
+// Unknown or foreign conversation ids start a new conversation. Returns null for a malformed history.
+const loadConversation = async ({ conversationId, messages, user, bot, language, prompt }) => {
+    const supplied = messages === undefined ? undefined : normalizeHistory(messages);
+    if (supplied === null) return null;
+
+    let conversation = mongoose.isValidObjectId(conversationId)
+        ? await Conversation.findOne({ _id: conversationId, user: user._id })
+        : null;
+    if (!conversation) {
+        conversation = await Conversation.create({ user: user._id, bot, language, title: prompt.slice(0, 60) });
+    }
+
+    let history = supplied;
+    if (!history) {
+        const stored = await Message.find({ conversation: conversation._id, superseded: { $ne: true } })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(MAX_TURNS_STORED * 2)
+            .lean();
+        history = stored.reverse().map(({ role, content }) => ({ role, content }));
+    }
+
+    return { conversationId: conversation._id.toString(), history };
+};
+
+// When regenerating an answer, the model shouldn't see the exchange it is replacing
+const withoutLastExchange = (history, prompt) => {
+    const [question, answer] = history.slice(-2);
+    return question?.role === 'user' && question.content === prompt && answer?.role === 'assistant'
+        ? history.slice(0, -2)
+        : history;
+};
+
+// The stored answer a regeneration of `prompt` replaces, if the conversation ends with that exchange
+const replacedAnswer = async (conversationId, prompt) => {
+    const [answer, question] = await Message.find({ conversation: conversationId, superseded: { $ne: true } })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(2)
+        .lean();
+    return question?.role === 'user' && question.content === prompt && answer?.role === 'assistant' ? answer : null;
+};
+
+// Record a finished exchange; `meta` carries modelId, candidates, analysis and latency.
+// With `regenerate` the new answer replaces the previous answer to the same prompt instead of repeating the question.
+// Resolves to the stored assistant message id (null when saving failed).
+// Storage failures are logged rather than failing an answer the user already has.
+const saveTurn = async (context, prompt, answer, meta = {}, { regenerate = false } = {}) => {
+    try {
+        const replaced = regenerate && await replacedAnswer(context.conversationId, prompt);
+        if (replaced) await Message.updateOne({ _id: replaced._id }, { superseded: true });
+
+        const reply = (await Message.insertMany([
+            ...(replaced ? [] : [{ conversation: context.conversationId, role: 'user', content: prompt }]),
+            { conversation: context.conversationId, role: 'assistant', content: answer, ...meta }
+        ])).pop();
+        await Conversation.updateOne({ _id: context.conversationId }, { $currentDate: { updatedAt: true } });
+        return reply._id.toString();
+    } catch (error) {
+        console.error(`Failed to save conversation ${context.conversationId}: ${error.message}`);
+        return null;
+    }
+};
+
+module.exports = { normalizeHistory, trimToContext, loadConversation, saveTurn, withoutLastExchange };
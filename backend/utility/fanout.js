@@ -0,0 +1,65 @@
+// Latency-aware fan-out: runs `call(model, { hedge })` for every model and settles early once `firstN`
+// answers are in, or once `deadline` ms have passed with at least one answer. A model still running after
+// `hedgeAfter` ms gets a duplicate request and whichever copy answers first wins (the loser is ignored).
+// `onSettle(outcome)` fires as soon as each model's outcome is known.
+// Resolves to [{ model, status: 'fulfilled' | 'rejected' | 'late', value?, error?, latency, hedged, winner? }]
+// in `models` order; 'late' models were still running when the fan-out settled.
+const fanOut = ({ models, call, deadline = 0, firstN = 0, hedgeAfter = 0, onSettle }) => new Promise(resolve => {
+    const started = Date.now();
+    const outcomes = models.map(model => ({ model, status: 'pending', hedged: false }));
+    const timers = [];
+    let settled = false;
+
+    const count = (status) => outcomes.filter(o => o.status === status).length;
+
+    const finish = () => {
+        if (settled) return;
+        settled = true;
+        timers.forEach(clearTimeout);
+        resolve(outcomes.map(o => (o.status === 'pending' ? { ...o, status: 'late', latency: Date.now() - started } : o)));
+    };
+
+    // With nothing answered yet the deadline keeps waiting for the first success
+    const check = () => {
+        if (!count('pending')) return finish();
+        if (firstN && count('fulfilled') >= firstN) return finish();
+        if (deadline && Date.now() - started >= deadline && count('fulfilled')) finish();
+    };
+
+    models.forEach((model, idx) => {
+        const outcome = outcomes[idx];
+        let copies = 1;
+        let failures = 0;
+
+        const settle = (patch) => {
+            Object.assign(outcome, patch, { latency: Date.now() - started });
+            if (!settled) onSettle?.(outcome);
+            check();
+        };
+
+        const run = (hedge) => call(model, { hedge }).then(
+            value => {
+                if (outcome.status === 'pending') settle({ status: 'fulfilled', value, ...(outcome.hedged && { winner: hedge ? 'hedge' : 'primary' }) });
+            },
+            error => {
+                // A model only fails once every copy of its request has failed
+                if (outcome.status === 'pending' && ++failures === copies) settle({ status: 'rejected', error });
+            }
+        );
+
+        run(false);
+        if (hedgeAfter) {
+            timers.push(setTimeout(() => {
+                if (outcome.status !== 'pending') return;
+                outcome.hedged = true;
+                copies++;
+                run(true);
+            }, hedgeAfter));
+        }
+    });
+
+    if (deadline) timers.push(setTimeout(check, deadline));
+    check();
+});
+
+module.exports = { fanOut };
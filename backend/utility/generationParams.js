@@ -0,0 +1,66 @@
+const { getModel } = require('./modelRegistry');
+
+// Per-request generation overrides for /api/ml/llm and /api/ml/judgeAndGenerate. Clients send the
+// OpenAI-style names (top_p, max_tokens...); they are validated here and then fitted to each model's
+// registry limits, since one fan-out can span models with different ceilings.
+const MAX_SYSTEM_CHARS = 4000;
+
+// Returns { params } holding only what the caller set (in provider option names), or { error }
+const parseGenerationParams = (body = {}) => {
+    const { temperature, top_p, max_tokens, stop, seed, system } = body;
+    const params = {};
+
+    if (temperature !== undefined) {
+        if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) return { error: 'temperature must be a number between 0 and 2' };
+        params.temperature = temperature;
+    }
+    if (top_p !== undefined) {
+        if (typeof top_p !== 'number' || top_p <= 0 || top_p > 1) return { error: 'top_p must be a number greater than 0 and at most 1' };
+        params.topP = top_p;
+    }
+    if (max_tokens !== undefined) {
+        if (!Number.isInteger(max_tokens) || max_tokens < 1) return { error: 'max_tokens must be a positive integer' };
+        params.maxTokens = max_tokens;
+    }
+    if (stop !== undefined) {
+        const sequences = typeof stop === 'string' ? [stop] : stop;
+        if (!Array.isArray(sequences) || sequences.some(s => typeof s !== 'string' || !s)) {
+            return { error: 'stop must be a string or an array of non-empty strings' };
+        }
+        if (sequences.length) params.stop = sequences;
+    }
+    if (seed !== undefined) {
+        if (!Number.isInteger(seed)) return { error: 'seed must be an integer' };
+        params.seed = seed;
+    }
+    if (system !== undefined) {
+        if (typeof system !== 'string' || system.length > MAX_SYSTEM_CHARS) {
+            return { error: `system must be a string of at most ${MAX_SYSTEM_CHARS} characters` };
+        }
+        if (system.trim()) params.system = system.trim();
+    }
+    return { params };
+};
+
+// Provider options for one model: the overrides on top of the route's defaults, capped at the model's limits.
+// Returns { options, adjusted } where `adjusted` holds the values that had to change, in request names.
+const fitToModel = (modelId, { system, ...params } = {}, defaults = {}) => {
+    const options = { ...defaults, ...params };
+    const adjusted = {};
+    const limits = getModel(modelId)?.limits;
+    if (!limits) return { options, adjusted };
+
+    if (options.maxTokens > limits.maxTokens) options.maxTokens = adjusted.max_tokens = limits.maxTokens;
+    if (options.temperature > limits.temperature) options.temperature = adjusted.temperature = limits.temperature;
+    if (options.stop?.length > limits.stop) {
+        options.stop = adjusted.stop = options.stop.slice(0, limits.stop);
+        if (!options.stop.length) delete options.stop;
+    }
+    if (options.seed !== undefined && !limits.seed) {
+        delete options.seed;
+        adjusted.seed = null;
+    }
+    return { options, adjusted };
+};
+
+module.exports = { parseGenerationParams, fitToModel };
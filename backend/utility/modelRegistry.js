@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Models come from a JSON or YAML file (MODEL_REGISTRY overrides the default path)
+// and are reloaded whenever that file changes.
+const REGISTRY_PATH = path.resolve(process.env.MODEL_REGISTRY || path.join(__dirname, '..', 'config', 'models.json'));
+const ROLES = ['candidate', 'expert', 'judge'];
+const CAPABILITIES = ['reasoning', 'coding', 'math'];
+
+let registry = null;
+let watching = false;
+
+function parseFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) return require('yaml').parse(text);
+    return JSON.parse(text);
+}
+
+function validateModel(entry, index) {
+    const where = `models[${index}]${entry?.id ? ` (${entry.id})` : ''}`;
+    if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) throw new Error(`${where}: id is required`);
+    if (typeof entry.provider !== 'string') throw new Error(`${where}: provider is required`);
+    if (!Number.isInteger(entry.context) || entry.context <= 0) throw new Error(`${where}: context must be a positive integer`);
+    if (entry.endpoint !== undefined && !/^https?:\/\//.test(entry.endpoint)) throw new Error(`${where}: endpoint must be an http(s) URL`);
+
+    const capabilities = entry.capabilities || {};
+    CAPABILITIES.forEach(key => {
+        if (typeof capabilities[key] !== 'number') throw new Error(`${where}: capabilities.${key} must be a number`);
+    });
+
+    // Ceilings for per-request generation overrides; omitted limits get conservative defaults
+    const limits = entry.limits || {};
+    if (limits.maxTokens !== undefined && (!Number.isInteger(limits.maxTokens) || limits.maxTokens <= 0)) {
+        throw new Error(`${where}: limits.maxTokens must be a positive integer`);
+    }
+    if (limits.temperature !== undefined && typeof limits.temperature !== 'number') throw new Error(`${where}: limits.temperature must be a number`);
+    if (limits.stop !== undefined && !Number.isInteger(limits.stop)) throw new Error(`${where}: limits.stop must be an integer`);
+
+    const roles = entry.roles || ['candidate', 'expert'];
+    const unknownRole = roles.find(role => !ROLES.includes(role));
+    if (unknownRole) throw new Error(`${where}: unknown role "${unknownRole}"`);
+
+    return {
+        id:           entry.id,
+        name:         entry.name || entry.id,
+        provider:     entry.provider,
+        ...(entry.endpoint && { endpoint: entry.endpoint, apiKeyEnv: entry.apiKeyEnv || 'OPENAI_API_KEY' }),
+        context:      entry.context,
+        expertise:    entry.expertise || '',
+        capabilities,
+        cost:         { prompt: entry.cost?.prompt || 0, completion: entry.cost?.completion || 0 },
+        limits: {
+            maxTokens:   limits.maxTokens || Math.min(4096, Math.floor(entry.context / 2)),
+            temperature: limits.temperature ?? 1,
+            stop:        limits.stop ?? 4,
+            seed:        limits.seed !== false
+        },
+        roles,
+        enabled:      entry.enabled !== false
+    };
+}
+
+function loadRegistry(file = REGISTRY_PATH) {
+    const data = parseFile(file);
+    if (!Array.isArray(data?.models) || !data.models.length) throw new Error(`${file}: "models" must be a non-empty array`);
+
+    const models = data.models.map(validateModel);
+    const duplicate = models.find((m, i) => models.findIndex(other => other.id === m.id) !== i);
+    if (duplicate) throw new Error(`${file}: duplicate model id ${duplicate.id}`);
+
+    return { file, models, loadedAt: new Date() };
+}
+
+// A broken edit keeps the last good registry instead of taking the server down
+function reload() {
+    try {
+        registry = loadRegistry();
+        console.log(`Model registry reloaded (${registry.models.length} models)`);
+    } catch (error) {
+        console.error(`Model registry reload failed, keeping previous version: ${error.message}`);
+    }
+}
+
+function getRegistry() {
+    if (!registry) registry = loadRegistry();
+    if (!watching) {
+        watching = true;
+        fs.watchFile(REGISTRY_PATH, { persistent: false, interval: 2000 }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs) reload();
+        });
+    }
+    return registry;
+}
+
+// Enabled models by default; `role` narrows to fan-out candidates, routing experts or judges
+function listModels({ role, includeDisabled = false } = {}) {
+    return getRegistry().models.filter(m =>
+        (includeDisabled || m.enabled) && (!role || m.roles.includes(role))
+    );
+}
+
+function getModel(id) {
+    return getRegistry().models.find(m => m.id === id);
+}
+
+module.exports = { getRegistry, listModels, getModel, loadRegistry, REGISTRY_PATH };
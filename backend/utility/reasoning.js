@@ -0,0 +1,84 @@
+// Reasoning models (deepseek-r1 and its distills) think out loud inside <think>...</think> before answering.
+// The trace is split off so judges, caches and saved history only ever see the answer itself.
+const OPEN = '<think>';
+const CLOSE = '</think>';
+
+// Returns { content, reasoning } where reasoning is null when the text had no trace
+const splitReasoning = (text = '') => {
+    const traces = [];
+    let content = text.replace(/<think>([\s\S]*?)(?:<\/think>|$)/g, (_, trace) => {
+        traces.push(trace.trim());
+        return '';
+    });
+
+    // Some distills leave out the opening tag and only close it
+    const orphan = content.indexOf(CLOSE);
+    if (orphan >= 0) {
+        traces.unshift(content.slice(0, orphan).trim());
+        content = content.slice(orphan + CLOSE.length);
+    }
+
+    const reasoning = traces.filter(Boolean).join('\n\n');
+    return traces.length ? { content: content.trim(), reasoning: reasoning || null } : { content, reasoning: null };
+};
+
+// Length of the longest suffix of `text` that could be the start of `tag`
+const partialTag = (text, tag) => {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+        if (text.endsWith(tag.slice(0, length))) return length;
+    }
+    return 0;
+};
+
+// Streaming counterpart: push(chunk) routes text inside <think> blocks to onReasoning and the rest to onToken,
+// holding back a tag split across chunks; flush() releases whatever is held back at the end.
+// A </think> with no opening tag means everything streamed so far was a trace: onRetract() tells the caller
+// to drop the text it got through onToken, which is then sent again through onReasoning.
+const reasoningStream = ({ onToken, onReasoning, onRetract }) => {
+    let buffer = '';
+    let thinking = false;
+    // Answer text streamed before any tag, in case an orphan </think> turns it into reasoning
+    let untagged = '';
+    let tagged = false;
+    const emit = (text) => {
+        if (!text) return;
+        if (!thinking && !tagged) untagged += text;
+        (thinking ? onReasoning : onToken)?.(text);
+    };
+
+    const push = (chunk) => {
+        buffer += chunk;
+        for (;;) {
+            const orphan = thinking || tagged ? -1 : buffer.indexOf(CLOSE);
+            const open = buffer.indexOf(OPEN);
+            if (orphan >= 0 && (open < 0 || orphan < open)) {
+                const trace = untagged + buffer.slice(0, orphan);
+                if (untagged) onRetract?.();
+                if (trace) onReasoning?.(trace);
+                buffer = buffer.slice(orphan + CLOSE.length);
+                tagged = true;
+                continue;
+            }
+            const tag = thinking ? CLOSE : OPEN;
+            const at = buffer.indexOf(tag);
+            if (at < 0) break;
+            emit(buffer.slice(0, at));
+            buffer = buffer.slice(at + tag.length);
+            thinking = !thinking;
+            tagged = true;
+        }
+        // Until a tag shows up, a partial </think> is held back too
+        const held = Math.max(partialTag(buffer, thinking ? CLOSE : OPEN), tagged ? 0 : partialTag(buffer, CLOSE));
+        emit(buffer.slice(0, buffer.length - held));
+        buffer = buffer.slice(buffer.length - held);
+    };
+
+    const flush = () => {
+        emit(buffer);
+        buffer = '';
+    };
+
+    return { push, flush };
+};
+
+module.exports = { splitReasoning, reasoningStream };
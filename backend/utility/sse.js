@@ -0,0 +1,35 @@
+// Switch an Express response into Server-Sent Events mode
+const openSSE = (res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders?.();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => !closed && res.write(': ping\n\n'), 15000);
+
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const close = () => {
+        clearInterval(heartbeat);
+        if (!closed) res.end();
+        closed = true;
+    };
+
+    return { send, close, isClosed: () => closed };
+};
+
+// Streaming is opted into with ?stream=true, { stream: true } or an Accept: text/event-stream header
+const wantsStream = (req) =>
+    req.query.stream === 'true' || req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+
+module.exports = { openSSE, wantsStream };
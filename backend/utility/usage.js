@@ -0,0 +1,87 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const Usage = require('../models/usageModel');
+
+// Every provider call made while handling a metered request is attributed to that request's
+// user and route, however deep in the controllers it happens.
+const meterStorage = new AsyncLocalStorage();
+
+const DEFAULT_QUOTA = {
+    daily: parseInt(process.env.DAILY_TOKEN_QUOTA) || 100000,
+    monthly: parseInt(process.env.MONTHLY_TOKEN_QUOTA) || 2000000
+};
+
+const runMetered = (meter, fn) => meterStorage.run(meter, fn);
+
+const addUsage = (entry = { promptTokens: 0, completionTokens: 0, calls: 0, estimated: false }, usage) => ({
+    promptTokens: entry.promptTokens + (usage.promptTokens || 0),
+    completionTokens: entry.completionTokens + (usage.completionTokens || 0),
+    calls: entry.calls + 1,
+    estimated: entry.estimated || Boolean(usage.estimated)
+});
+
+// Called by the provider layer after each completion. Calls that finish after the request's usage was saved
+// (background router updates, fan-out or hedged calls outliving the response) are saved on their own.
+const recordUsage = (model, usage) => {
+    const meter = meterStorage.getStore();
+    if (!meter || !usage) return;
+
+    if (meter.saved) {
+        saveMeter({ ...meter, models: new Map([[model, addUsage(undefined, usage)]]) })
+            .catch(error => console.error('Error while saving late usage:', error));
+        return;
+    }
+    meter.models.set(model, addUsage(meter.models.get(model), usage));
+};
+
+// Per-model usage of the request being handled so far (empty outside a metered request)
+const currentUsage = () => meterStorage.getStore()?.models || new Map();
+
+const saveMeter = async (meter) => {
+    const { user, route, models } = meter;
+    meter.saved = true;
+    if (!models.size) return;
+    await Usage.insertMany([...models].map(([modelId, entry]) => ({ user, route, modelId, ...entry })));
+};
+
+// Quota windows are UTC calendar days and months
+const periodBounds = (period, now = new Date()) => {
+    const start = period === 'daily'
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const resetAt = period === 'daily'
+        ? new Date(start.getTime() + 24 * 60 * 60 * 1000)
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { start, resetAt };
+};
+
+const tokensSince = async (userId, since) => {
+    const [total] = await Usage.aggregate([
+        { $match: { user: userId, createdAt: { $gte: since } } },
+        { $group: { _id: null, tokens: { $sum: { $add: ['$promptTokens', '$completionTokens'] } } } }
+    ]);
+    return total?.tokens || 0;
+};
+
+const quotaLimit = (user, period) => user.quota?.[period] ?? DEFAULT_QUOTA[period];
+
+// Used/limit/reset for both periods; limit 0 means unlimited
+const quotaStatus = async (user) => {
+    const status = {};
+    for (const period of ['daily', 'monthly']) {
+        const { start, resetAt } = periodBounds(period);
+        status[period] = {
+            used: await tokensSince(user._id, start),
+            limit: quotaLimit(user, period),
+            resetAt
+        };
+    }
+    return status;
+};
+
+// The first exhausted period, or null
+const exceededQuota = (status) =>
+    ['daily', 'monthly']
+        .map(period => ({ period, ...status[period] }))
+        .find(q => q.limit > 0 && q.used >= q.limit) || null;
+
+module.exports = { runMetered, recordUsage, currentUsage, saveMeter, periodBounds, quotaStatus, exceededQuota, DEFAULT_QUOTA };
@@ -12,11 +12,11 @@ import { useEffect } from "react";
 import { Toaster} from 'react-hot-toast'
 import useAuth from './store/UseAuth';
 import ListofBoat from './components/ListofBoat'
-import FarmBoat from './components/FarmBoat'
-import MedicalBot from './components/Medicalbot'
-import LegalBot from './components/LegalBot'
-import EducationBot from './components/EductionBot'
+import ChatWindow from './components/ChatWindow'
+import { BOTS } from './bots'
 import MainChooseBot from './components/MainChooseBot'
+import CustomBot from './components/CustomBot'
+import UsageDashboard from './components/UsageDashboard'
 
 function App() {
   const navigate = useNavigate();
@@ -46,10 +46,11 @@ function App() {
  
 
     <Route path="/listOchat" element={<ListofBoat />} />
-    <Route path="/farming-chat" element={<FarmBoat />} />
-    <Route path="/medical-chat" element={<MedicalBot />} />
-    <Route path="/legal-chat" element={<LegalBot />} />
-    <Route path="/education-chat" element={<EducationBot />} />
+    {Object.values(BOTS).map(bot => (
+      <Route key={bot.id} path={bot.path} element={authUser?<ChatWindow key={bot.id} bot={bot} />:<Login />} />
+    ))}
+    <Route path="/custom-chat/:botId" element={authUser?<CustomBot />:<Login />} />
+    <Route path="/usage" element={authUser?<UsageDashboard />:<Login />} />
       <Route path="/signup" element={<SignUp />} />
      
     <Route path="/login" element={<Login />} />
@@ -0,0 +1,157 @@
+// Built-in domain bots as data: ChatWindow renders any of these and useChatSession runs the conversation.
+// `id` is the backend bot (POST /api/bots/:id/chat), `path` its route, `theme` a Bootstrap colour
+// (or the purple from index.css), `panels` and `quickActions` fill the side panel. Icons are Font Awesome names.
+
+const INDIAN_LANGUAGES = ['en', 'hi', 'te', 'ta', 'ur']
+
+const PRICE_QUERY = /(price|rate|मूल्य|दर|விலை|ధర|قیمت)/i
+const LOCATION_QUERY = /(location|where am i|मेरा स्थान|నా స్థానం|என் இடம்)/i
+
+const LOCATION_REPLIES = {
+    granted: 'Using your location for accurate prices 🌍',
+    denied: 'Location access denied. Showing general prices 🔒',
+    unsupported: 'This browser cannot share its location. Showing general prices 🔒',
+    requesting: 'Waiting for location permission 📍',
+    unrequested: 'Location not requested yet 📊'
+}
+
+export const BOTS = {
+    medical: {
+        id: 'medical',
+        path: '/medical-chat',
+        title: 'Medical Assistant',
+        icon: 'fa-stethoscope',
+        brand: { title: 'MediCare Assistant', icon: 'fa-heartbeat' },
+        theme: 'primary',
+        languages: INDIAN_LANGUAGES,
+        placeholder: 'Describe your symptoms or ask a medical question...',
+        hint: 'Try: "What are COVID-19 symptoms?" or "First aid for burns"',
+        panels: [{
+            title: 'How It Works',
+            icon: 'fa-info-circle',
+            items: [
+                { icon: 'fa-user-md', label: 'Symptom Analysis' },
+                { icon: 'fa-prescription-bottle', label: 'Medication Guidance' },
+                { icon: 'fa-hospital', label: 'Emergency Protocols' },
+                { icon: 'fa-clinic-medical', label: 'Preventive Care' }
+            ]
+        }],
+        quickActions: [
+            { icon: 'fa-hospital', label: 'Hospitals', prompt: 'What should I look for when choosing a hospital nearby?' },
+            { icon: 'fa-calendar-check', label: 'Checkup', prompt: 'Which routine health checkups are recommended for my age?' },
+            { icon: 'fa-bell', label: 'Reminders', prompt: 'How can I remember to take my medicines on time?' },
+            { icon: 'fa-first-aid', label: 'First Aid', prompt: 'What are the basic first aid steps for common injuries?' }
+        ]
+    },
+
+    legal: {
+        id: 'legal',
+        path: '/legal-chat',
+        title: 'Legal Assistant',
+        icon: 'fa-balance-scale-left',
+        brand: { title: 'Legal Assistant', icon: 'fa-balance-scale' },
+        theme: 'purple',
+        languages: INDIAN_LANGUAGES,
+        placeholder: 'Describe your legal issue or ask a question...',
+        hint: 'Try: "Review my rental agreement" or "Explain copyright laws"',
+        panels: [{
+            title: 'How It Works',
+            icon: 'fa-info-circle',
+            items: [
+                { icon: 'fa-file-contract', label: 'Contract Review' },
+                { icon: 'fa-gavel', label: 'Legal Document Analysis' },
+                { icon: 'fa-handshake', label: 'Dispute Guidance' },
+                { icon: 'fa-shield-alt', label: 'Compliance Checks' }
+            ]
+        }],
+        quickActions: [
+            { icon: 'fa-search', label: 'Find Lawyers', prompt: 'How do I find and choose the right lawyer for my case?' },
+            { icon: 'fa-file-alt', label: 'Templates', prompt: 'What should a simple rental agreement include?' },
+            { icon: 'fa-balance-scale-left', label: 'Legal Aid', prompt: 'How can I get free legal aid in India?' },
+            { icon: 'fa-briefcase', label: 'Case Track', prompt: 'How can I check the status of my court case online?' }
+        ]
+    },
+
+    education: {
+        id: 'education',
+        path: '/education-chat',
+        title: 'Education Assistant',
+        icon: 'fa-book-open',
+        brand: { title: 'Edu Assistant', icon: 'fa-graduation-cap' },
+        theme: 'warning',
+        languages: INDIAN_LANGUAGES,
+        placeholder: 'Ask about courses, study methods, or education resources...',
+        hint: 'Try: "Best way to learn programming" or "CBSE exam preparation tips"',
+        panels: [{
+            title: 'How It Works',
+            icon: 'fa-info-circle',
+            items: [
+                { icon: 'fa-book', label: 'Learning Resources' },
+                { icon: 'fa-brain', label: 'Study Techniques' },
+                { icon: 'fa-university', label: 'Course Guidance' },
+                { icon: 'fa-laptop-code', label: 'Tech Tools' }
+            ]
+        }],
+        quickActions: [
+            { icon: 'fa-search', label: 'Find Courses', prompt: 'Which free online courses are good for beginners?' },
+            { icon: 'fa-file-alt', label: 'Study Plans', prompt: 'Make me a weekly study plan for my exams.' },
+            { icon: 'fa-tools', label: 'Skill Tools', prompt: 'Which tools help me practise new skills every day?' },
+            { icon: 'fa-chart-line', label: 'Progress Track', prompt: 'How can I track my study progress?' }
+        ]
+    },
+
+    farming: {
+        id: 'farming',
+        path: '/farming-chat',
+        title: 'Kisan Saathi',
+        icon: 'fa-seedling',
+        brand: { title: 'Kisan Saathi Guide', icon: 'fa-info-circle' },
+        theme: 'success',
+        languages: INDIAN_LANGUAGES,
+        placeholder: 'Speak or type...',
+        hint: 'Try: "Tomato prices near me" or "Best crops for my region"',
+        panels: [
+            {
+                title: 'How It Works',
+                icon: 'fa-hands-helping',
+                items: [
+                    { icon: 'fa-comments', label: 'Voice or text input' },
+                    { icon: 'fa-map-marker-alt', label: 'Location-based pricing' },
+                    { icon: 'fa-language', label: 'Multi-language support' },
+                    { icon: 'fa-seedling', label: 'AI-powered insights' }
+                ]
+            },
+            {
+                title: 'Key Features',
+                icon: 'fa-lightbulb',
+                items: [
+                    { icon: 'fa-rupee-sign', label: 'Real-time market prices' },
+                    { icon: 'fa-cloud-sun', label: 'Weather insights' },
+                    { icon: 'fa-seedling', label: 'Crop advice' },
+                    { icon: 'fa-book', label: 'Agricultural knowledge base' }
+                ]
+            }
+        ],
+        // Local market prices need the user's location, so price questions ask for it first
+        usesLocation: true,
+        intercept: (message, { location, locationStatus, requestLocation }) => {
+            if (LOCATION_QUERY.test(message)) return LOCATION_REPLIES[locationStatus]
+            if (PRICE_QUERY.test(message) && !location && !['denied', 'unsupported'].includes(locationStatus)) {
+                requestLocation()
+                return '📍 Enable location for local prices, then ask again'
+            }
+            return null
+        }
+    }
+}
+
+// Definition for a user's custom bot document from GET /api/bots/custom/:id
+export const customBotDefinition = (doc) => ({
+    id: doc._id,
+    title: doc.title,
+    avatar: doc.avatar,
+    theme: 'dark',
+    defaultLanguage: doc.language,
+    placeholder: `Message ${doc.title}...`,
+    back: { label: 'Bots', icon: 'fa-th-large', path: '/listOchat' }
+})
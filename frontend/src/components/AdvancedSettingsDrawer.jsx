@@ -0,0 +1,96 @@
+import React, { useEffect } from 'react';
+import useModels from '../store/UseModels';
+import { EMPTY_SETTINGS } from '../utility/generation';
+
+// Slide-in panel for per-request generation overrides; limits come from the model registry
+const AdvancedSettingsDrawer = ({ show, onClose, settings, onChange, isDarkMode }) => {
+  const { models, fetchModels } = useModels();
+
+  useEffect(() => {
+    if (show && !models.length) fetchModels();
+  }, [show, models.length, fetchModels]);
+
+  if (!show) return null;
+
+  const experts = models.filter(m => m.roles?.includes('expert'));
+  const maxTokens = Math.max(...experts.map(m => m.limits?.maxTokens || 0), 0) || undefined;
+  const maxTemperature = Math.max(...experts.map(m => m.limits?.temperature || 0), 0) || 2;
+  const update = (field) => (e) => onChange({ ...settings, [field]: e.target.value });
+  const inputClass = `form-control form-control-sm ${isDarkMode ? 'bg-dark text-light border-secondary' : ''}`;
+
+  return (
+    <>
+      <div
+        className="position-fixed top-0 start-0 w-100 h-100 bg-dark bg-opacity-25"
+        style={{ zIndex: 1040 }}
+        onClick={onClose}
+      />
+      <div
+        className={`position-fixed top-0 end-0 h-100 d-flex flex-column shadow ${isDarkMode ? 'bg-dark text-light' : 'bg-white'}`}
+        style={{ width: '340px', zIndex: 1050 }}
+      >
+        <div className="d-flex justify-content-between align-items-center p-3 border-bottom">
+          <h6 className="mb-0">
+            <i className="fas fa-sliders-h me-2"></i>
+            Advanced settings
+          </h6>
+          <button className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-secondary'}`} onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="flex-grow-1 overflow-auto p-3">
+          <p className={`small ${isDarkMode ? 'text-light' : 'text-muted'}`}>
+            Leave a field blank to use the default. Values above a model's limit are lowered for that model.
+          </p>
+
+          <div className="mb-3">
+            <label className="form-label small">Temperature <span className="text-muted">(0 – {maxTemperature}, default 0.7)</span></label>
+            <input type="number" className={inputClass} min={0} max={maxTemperature} step={0.1} value={settings.temperature} onChange={update('temperature')} />
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label small">Top P <span className="text-muted">(0 – 1)</span></label>
+            <input type="number" className={inputClass} min={0.01} max={1} step={0.05} value={settings.top_p} onChange={update('top_p')} />
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label small">Max tokens <span className="text-muted">(default 1024{maxTokens && `, up to ${maxTokens}`})</span></label>
+            <input type="number" className={inputClass} min={1} max={maxTokens} step={1} value={settings.max_tokens} onChange={update('max_tokens')} />
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label small">Stop sequences <span className="text-muted">(one per line)</span></label>
+            <textarea className={inputClass} rows={2} value={settings.stop} onChange={update('stop')} />
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label small">Seed <span className="text-muted">(repeatable answers where supported)</span></label>
+            <input type="number" className={inputClass} step={1} value={settings.seed} onChange={update('seed')} />
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label small">System prompt</label>
+            <textarea
+              className={inputClass}
+              rows={4}
+              maxLength={4000}
+              placeholder="You are a concise assistant. Answer in bullet points."
+              value={settings.system}
+              onChange={update('system')}
+            />
+          </div>
+        </div>
+
+        <div className="p-3 border-top">
+          <button className={`btn btn-sm w-100 ${isDarkMode ? 'btn-outline-light' : 'btn-outline-secondary'}`} onClick={() => onChange(EMPTY_SETTINGS)}>
+            <i className="fas fa-undo me-2"></i>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AdvancedSettingsDrawer;
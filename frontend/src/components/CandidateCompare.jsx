@@ -0,0 +1,45 @@
+import React from 'react';
+import { Modal } from 'react-bootstrap';
+import MessageContent from './MessageContent';
+
+// Side-by-side view of every fan-out answer for one prompt, with the judge's scores
+const CandidateCompare = ({ show, onHide, message, isDarkMode }) => {
+  const responses = message?.candidateResponses || [];
+  const scoreFor = (model) => message?.judge?.scores?.find(s => s.model === model);
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl" centered scrollable>
+      <Modal.Header closeButton className={isDarkMode ? 'bg-dark text-light border-secondary' : ''}>
+        <Modal.Title className="fs-5">Compare answers</Modal.Title>
+      </Modal.Header>
+      <Modal.Body className={isDarkMode ? 'bg-dark text-light' : ''}>
+        <div className="row g-3">
+          {responses.map(candidate => {
+            const verdict = scoreFor(candidate.model);
+            const chosen = candidate.model === message.model;
+            return (
+              <div key={candidate.model} className={`col-12 col-lg-${Math.max(4, Math.floor(12 / responses.length))}`}>
+                <div className={`card h-100 ${chosen ? 'border-success' : ''} ${isDarkMode ? 'bg-secondary text-light' : ''}`}>
+                  <div className="card-header d-flex justify-content-between align-items-center small">
+                    <span className="fw-medium text-break">{candidate.model}</span>
+                    {chosen && <span className="badge bg-success ms-2">chosen</span>}
+                  </div>
+                  <div className="card-body small">
+                    <MessageContent content={candidate.content} />
+                  </div>
+                  <div className="card-footer small text-muted">
+                    {verdict && <span title={verdict.rationale}>score {verdict.score}</span>}
+                    {verdict && candidate.latency !== undefined && <span className="mx-2">•</span>}
+                    {candidate.latency !== undefined && <span>{candidate.latency}ms</span>}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </Modal.Body>
+    </Modal>
+  );
+};
+
+export default CandidateCompare;
@@ -1,17 +1,41 @@
 import React, { useState, useRef, useEffect } from 'react';
 import useAuth from '../store/UseAuth';
-import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
-import { FaVolumeUp, FaVolumeMute, FaMicrophone, FaStopCircle, FaSun, FaMoon, FaPaperPlane, FaSignOutAlt } from 'react-icons/fa';
-
-const LANGUAGES = {
-  en: { name: 'English', native: 'English', code: 'en', voiceCode: 'en-US' },
-  hi: { name: 'Hindi', native: 'हिन्दी', code: 'hi', voiceCode: 'hi-IN' },
-  te: { name: 'Telugu', native: 'తెలుగు', code: 'te', voiceCode: 'te-IN' },
-  ta: { name: 'Tamil', native: 'தமிழ்', code: 'ta', voiceCode: 'ta-IN' },
-  ur: { name: 'Urdu', native: 'اردو', code: 'ur', voiceCode: 'ur-PK' }
+import { streamSSE } from '../utility/sse';
+import { quotaExceededMessage } from '../utility/quota';
+import { formatCost } from '../utility/cost';
+import { LANGUAGES, languageNote } from '../utility/language';
+import { toPlainText } from '../utility/markdown';
+import ConversationSidebar from './ConversationSidebar';
+import MessageFeedback from './MessageFeedback';
+import ReasoningPanel from './ReasoningPanel';
+import TranslationPanel from './TranslationPanel';
+import MessageContent from './MessageContent';
+import useConversations from '../store/UseConversations';
+import { FaVolumeUp, FaVolumeMute, FaMicrophone, FaStopCircle, FaSun, FaMoon, FaPaperPlane, FaSignOutAlt, FaHistory } from 'react-icons/fa';
+
+const JUDGE_STRATEGIES = {
+  rubric: 'Rubric scoring',
+  pairwise: 'Pairwise tournament',
+  majority: 'Majority vote',
+  heuristic: 'Heuristic (fast)'
 };
 
+const STATUS_TEXT = {
+  judging: 'Judging candidates...',
+  fusing: 'Merging candidates...',
+  revising: 'Reviewing merged answer...',
+  translating: 'Translating answer...'
+};
+
+const shortModelName = (model) => model.split('/').pop().split('-')[0];
+
+// Tooltip for the response time: how long the candidates and the judge each took
+const timingBreakdown = (timings) => timings && [
+  ...Object.entries(timings.models).map(([model, t]) => `${shortModelName(model)}: ${t.latency}ms (${t.status}${t.hedged ? `, hedged${t.winner ? `, ${t.winner} won` : ''}` : ''})`),
+  `judge: ${timings.judge}ms`
+].join('\n');
+
 const ChatInterface = () => {
   const navigate = useNavigate();
   const { logout, isLogout } = useAuth();
@@ -23,6 +47,13 @@ const ChatInterface = () => {
   const [isRecording, setIsRecording] = useState(false);
   const [abortController, setAbortController] = useState(new AbortController());
   const [selectedLanguage, setSelectedLanguage] = useState('en');
+  const [conversationId, setConversationId] = useState(null);
+  const [judgeStrategy, setJudgeStrategy] = useState('rubric');
+  const [fuseMode, setFuseMode] = useState(false);
+  const [revise, setRevise] = useState(false);
+  const [viaEnglish, setViaEnglish] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const { loadConversation } = useConversations();
   const messagesEndRef = useRef(null);
   const synthesis = useRef(window.speechSynthesis);
   const recognition = useRef(null);
@@ -74,8 +105,10 @@ const ChatInterface = () => {
   }, [messages]);
 
   const formatModelName = (model) => {
-    const [provider, name] = model.split('/');
-    return `${provider.charAt(0).toUpperCase() + provider.slice(1)} ${name.split('-')[0].toUpperCase()}`;
+    // Ids without a provider prefix (e.g. FUSION_MODEL=gemini-2.0-flash) show just the model family
+    const [name, provider] = model.split('/').reverse();
+    const family = name.split('-')[0].toUpperCase();
+    return provider ? `${provider.charAt(0).toUpperCase() + provider.slice(1)} ${family}` : family;
   };
 
   const handleStop = () => {
@@ -120,7 +153,7 @@ const ChatInterface = () => {
 
     try {
       const voices = synthesis.current.getVoices();
-      utterance.current.text = text;
+      utterance.current.text = toPlainText(text);
       utterance.current.voice = voices.find(v => v.lang === LANGUAGES[selectedLanguage].voiceCode) || voices[0];
       utterance.current.lang = LANGUAGES[selectedLanguage].voiceCode;
       
@@ -138,50 +171,129 @@ const ChatInterface = () => {
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!input.trim() || isLoading) return;
+  const openConversation = async (id) => {
+    const loaded = await loadConversation(id);
+    if (!loaded) return;
+    setConversationId(id);
+    setMessages(loaded.messages);
+  };
+
+  const startNewChat = () => {
+    setConversationId(null);
+    setMessages([]);
+  };
 
+  // Streams the candidates and verdict into the bot message flagged `streaming`; resolves to true on success
+  const streamAnswer = async (prompt, options = {}) => {
     try {
       setIsLoading(true);
       synthesis.current.cancel();
       const newController = new AbortController();
       setAbortController(newController);
 
-      setMessages(prev => [...prev, { content: input, isBot: false }]);
-
-      const response = await axios.post(
-        'http://localhost:3000/api/ml/judgeAndGenerate',
-        { 
-          prompt: input,
-          language: selectedLanguage
-        },
-        { signal: newController.signal }
-      );
-
-      const botMessage = {
-        content: response.data.bestResponse,
-        isBot: true,
-        model: response.data.chosenModel,
-        candidates: response.data.candidates,
-        responseTime: response.data.responseTime,
-      };
-
-      setMessages(prev => [...prev, botMessage]);
-      setInput('');
+      // Each candidate model streams its own progress before the judge's verdict arrives
+      const updateBotMessage = (update) => setMessages(prev => prev.map(msg =>
+        msg.streaming ? { ...msg, ...update(msg) } : msg
+      ));
+      const updateCandidate = (model, update) => updateBotMessage(msg => {
+        const current = msg.progress[model] || { text: '', status: 'running' };
+        return { progress: { ...msg.progress, [model]: { ...current, ...update(current) } } };
+      });
+
+      await streamSSE('/ml/judgeAndGenerate', {
+        prompt,
+        language: selectedLanguage,
+        conversationId,
+        judge: judgeStrategy,
+        mode: fuseMode ? 'fuse' : 'select',
+        revise: fuseMode && revise,
+        includeReasoning: true,
+        ...(viaEnglish && { translate: true }),
+        ...options
+      }, {
+        signal: newController.signal,
+        onEvent: (event, data) => {
+          switch (event) {
+            case 'candidate-start': return updateCandidate(data.model, () => ({ status: 'running' }));
+            case 'candidate-reasoning': return updateCandidate(data.model, () => ({ status: 'thinking' }));
+            case 'candidate-token': return updateCandidate(data.model, (c) => ({ text: c.text + data.text, status: c.status === 'thinking' ? 'running' : c.status }));
+            case 'candidate-retract': return updateCandidate(data.model, () => ({ text: '' }));
+            case 'candidate-retry': return updateCandidate(data.model, () => ({ text: '', status: 'retrying' }));
+            case 'candidate-hedge': return updateCandidate(data.model, () => ({ status: 'hedging' }));
+            case 'candidate-done': return updateCandidate(data.model, () => ({ status: 'done' }));
+            case 'candidate-error': return updateCandidate(data.model, () => ({ status: 'failed' }));
+            case 'judging':
+            case 'fusing':
+            case 'revising':
+            case 'translating': return updateBotMessage(() => ({ phase: event }));
+            case 'verdict':
+              setConversationId(data.conversationId);
+              return updateBotMessage(() => ({
+                content: data.bestResponse,
+                reasoning: data.reasoning,
+                model: data.chosenModel,
+                candidates: data.candidates,
+                candidateResponses: data.candidateResponses,
+                responseTime: data.responseTime,
+                judge: data.judge,
+                fusion: data.fusion,
+                skippedModels: data.skippedModels,
+                lateModels: data.lateModels,
+                language: data.language,
+                translation: data.translation,
+                timings: data.timings,
+                cost: data.cost,
+                messageId: data.messageId,
+                streaming: false,
+                phase: null
+              }));
+            case 'error': throw new Error(data.error);
+            default: return undefined;
+          }
+        }
+      });
+      return true;
     } catch (error) {
-      if (!axios.isCancel(error)) {
-        setMessages(prev => [...prev, {
-          content: '⚠️ Failed to get response. Please try again.',
+      if (error.name !== 'AbortError') {
+        setMessages(prev => [...prev.filter(msg => !msg.streaming), {
+          content: `⚠️ ${quotaExceededMessage(error) || 'Failed to get response. Please try again.'}`,
           isBot: true,
           error: true,
         }]);
+      } else {
+        setMessages(prev => prev.filter(msg => !msg.streaming));
       }
+      return false;
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!input.trim() || isLoading) return;
+
+    setMessages(prev => [
+      ...prev,
+      { content: input, isBot: false },
+      { content: '', isBot: true, streaming: true, progress: {} }
+    ]);
+    if (await streamAnswer(input)) setInput('');
+  };
+
+  // Judge the prompt again without the models whose answers were already picked
+  const handleRegenerate = (index) => {
+    const prompt = messages[index - 1]?.content;
+    if (isLoading || !prompt) return;
+
+    const previous = messages[index];
+    const triedModels = [...(previous.triedModels || []), previous.model].filter(Boolean);
+    setMessages(prev => prev.map((msg, i) =>
+      i === index ? { content: '', isBot: true, streaming: true, progress: {}, triedModels } : msg
+    ));
+    streamAnswer(prompt, { excludeModels: triedModels, regenerate: true, mode: 'select' });
+  };
+
   const getPlaceholder = () => {
     switch(selectedLanguage) {
       case 'te': return 'ఏదైనా ప్రశ్న అడగండి...';
@@ -194,6 +306,15 @@ const ChatInterface = () => {
 
   return (
     <div className={`h-100 d-flex flex-column ${isDarkMode ? 'bg-dark text-white' : 'bg-white'}`}>
+      <ConversationSidebar
+        bot="fusion"
+        show={showHistory}
+        onClose={() => setShowHistory(false)}
+        activeId={conversationId}
+        onSelect={openConversation}
+        onNewChat={startNewChat}
+        isDarkMode={isDarkMode}
+      />
       {/* Header Controls */}
       <div className="d-flex justify-content-between align-items-center p-3 border-bottom">
         <div className="d-flex gap-2">
@@ -210,6 +331,54 @@ const ChatInterface = () => {
               </option>
             ))}
           </select>
+
+          <select
+            className={`form-select form-select-sm ${
+              isDarkMode ? 'bg-dark text-light border-dark' : 'bg-light'
+            }`}
+            value={judgeStrategy}
+            onChange={(e) => setJudgeStrategy(e.target.value)}
+            title="How the best answer is chosen"
+          >
+            {Object.entries(JUDGE_STRATEGIES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+
+          <div className="form-check form-switch mb-0 text-nowrap" title="Merge all candidates into one answer instead of picking one">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id="fuseMode"
+              checked={fuseMode}
+              onChange={(e) => setFuseMode(e.target.checked)}
+            />
+            <label className={`form-check-label small ${isDarkMode ? 'text-light' : ''}`} htmlFor="fuseMode">Fuse</label>
+          </div>
+          {fuseMode && (
+            <div className="form-check mb-0 text-nowrap" title="Let each model critique the merged answer, then revise it once">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                id="reviseMode"
+                checked={revise}
+                onChange={(e) => setRevise(e.target.checked)}
+              />
+              <label className={`form-check-label small ${isDarkMode ? 'text-light' : ''}`} htmlFor="reviseMode">Critique &amp; revise</label>
+            </div>
+          )}
+          {selectedLanguage !== 'en' && (
+            <div className="form-check form-switch mb-0 text-nowrap" title="Ask the models in English and translate the answer back">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                id="viaEnglish"
+                checked={viaEnglish}
+                onChange={(e) => setViaEnglish(e.target.checked)}
+              />
+              <label className={`form-check-label small ${isDarkMode ? 'text-light' : ''}`} htmlFor="viaEnglish">Via English</label>
+            </div>
+          )}
           
           {isLoading && (
             <button
@@ -220,6 +389,13 @@ const ChatInterface = () => {
               Stop
             </button>
           )}
+          <button
+            className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
+            onClick={() => setShowHistory(true)}
+          >
+            <FaHistory className="me-2" />
+            History
+          </button>
           <button
             className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
             onClick={handleLogout}
@@ -273,33 +449,120 @@ const ChatInterface = () => {
                     <div className="d-flex align-items-center">
                       <FaMicrophone className={`${isDarkMode ? 'text-light' : 'text-muted'} fs-6 me-2`} />
                       <small className={`${isDarkMode ? 'text-light' : 'text-muted'} fw-medium`}>
-                        {formatModelName(msg.model)}
-                        <span className="mx-2">•</span>
-                        <span className="text-success">{msg.responseTime}ms</span>
+                        {msg.streaming ? (STATUS_TEXT[msg.phase] || 'Generating candidates...') : (msg.model ? formatModelName(msg.model) : 'Assistant')}
+                        {!msg.streaming && msg.responseTime !== undefined && (
+                          <>
+                            <span className="mx-2">•</span>
+                            <span className="text-success" title={timingBreakdown(msg.timings)}>{msg.responseTime}ms</span>
+                            {formatCost(msg.cost) && <span className="ms-2" title="Estimated model cost">{formatCost(msg.cost)}</span>}
+                          </>
+                        )}
                       </small>
                     </div>
 
                     <div className="d-flex gap-1 flex-wrap">
-                      {msg.candidates?.map((model, idx) => (
-                        <span
-                          key={idx}
-                          className={`badge ${model === msg.model ? 'bg-success' : isDarkMode ? 'bg-light text-dark' : 'bg-secondary'} py-1 px-2`}
-                          style={{ fontSize: '0.65rem' }}
-                        >
-                          {model.split('/')[1].split('-')[0]}
+                      {msg.candidates?.map((model, idx) => {
+                        const verdict = msg.judge?.scores?.find(s => s.model === model);
+                        return (
+                          <span
+                            key={idx}
+                            className={`badge ${model === msg.model ? 'bg-success' : isDarkMode ? 'bg-light text-dark' : 'bg-secondary'} py-1 px-2`}
+                            style={{ fontSize: '0.65rem' }}
+                            title={verdict?.rationale}
+                          >
+                            {shortModelName(model)}
+                            {verdict && <span className="ms-1 opacity-75">{verdict.score}</span>}
+                          </span>
+                        );
+                      })}
+                      {msg.judge && (
+                        <span className={`small ${isDarkMode ? 'text-light' : 'text-muted'}`} style={{ fontSize: '0.65rem' }}>
+                          judged by {msg.judge.strategy}{msg.judge.fallback && ` (fallback from ${msg.judge.fallback.from})`}
                         </span>
-                      ))}
+                      )}
+                      {msg.fusion && (
+                        <span className={`small ${isDarkMode ? 'text-light' : 'text-muted'}`} style={{ fontSize: '0.65rem' }}>
+                          fused by {shortModelName(msg.fusion.aggregator)}{msg.fusion.revised && ' · revised'}
+                        </span>
+                      )}
+                      {msg.skippedModels?.length > 0 && (
+                        <span className={`small ${isDarkMode ? 'text-light' : 'text-muted'}`} style={{ fontSize: '0.65rem' }} title="Recent calls to these models kept failing">
+                          skipped {msg.skippedModels.map(shortModelName).join(', ')} (unavailable)
+                        </span>
+                      )}
+                      {msg.lateModels?.length > 0 && (
+                        <span className={`small ${isDarkMode ? 'text-light' : 'text-muted'}`} style={{ fontSize: '0.65rem' }}>
+                          judged without {msg.lateModels.map(shortModelName).join(', ')} (too slow)
+                        </span>
+                      )}
+                      {languageNote(msg.language) && (
+                        <span className={`small ${isDarkMode ? 'text-light' : 'text-muted'}`} style={{ fontSize: '0.65rem' }}>
+                          {languageNote(msg.language)}
+                        </span>
+                      )}
                     </div>
                   </div>
                 </>
               )}
 
+              {msg.streaming && (
+                <div className="d-flex flex-column gap-2 mb-2">
+                  {Object.entries(msg.progress).map(([model, c]) => (
+                    <div key={model} className="small">
+                      <span className={`badge me-2 ${
+                        c.status === 'done' ? 'bg-success' : c.status === 'failed' ? 'bg-danger' : 'bg-info text-dark'
+                      }`}>
+                        {shortModelName(model)} · {c.status}
+                      </span>
+                      <span className={isDarkMode ? 'text-light' : 'text-muted'}>
+                        {c.text.slice(-120)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <ReasoningPanel reasoning={msg.reasoning} isDarkMode={isDarkMode} />
+
               <div 
                 className={msg.isBot && !isDarkMode ? 'text-dark' : 'text-white'}
                 style={{ paddingBottom: '24px' }}
               >
-                {msg.content}
+                {msg.isBot ? <MessageContent content={msg.content} /> : msg.content}
               </div>
+
+              <TranslationPanel translation={msg.translation} isDarkMode={isDarkMode} />
+
+              {msg.isBot && !msg.streaming && !msg.error && (
+                <MessageFeedback
+                  key={msg.messageId || index}
+                  message={msg}
+                  onRegenerate={msg.fusion ? undefined : () => handleRegenerate(index)}
+                  disabled={isLoading}
+                  isDarkMode={isDarkMode}
+                />
+              )}
+
+              {msg.fusion && (msg.fusion.attribution?.length > 0 || msg.fusion.critiques?.length > 0) && (
+                <details className={`small ${isDarkMode ? 'text-light' : 'text-muted'}`}>
+                  <summary>How this answer was built</summary>
+                  <ul className="mb-1 ps-3">
+                    {msg.fusion.attribution.map((a, idx) => (
+                      <li key={idx}><strong>{shortModelName(a.model)}</strong>: {a.contribution}</li>
+                    ))}
+                  </ul>
+                  {msg.fusion.critiques?.length > 0 && (
+                    <>
+                      <div className="fw-medium">Critiques</div>
+                      <ul className="mb-1 ps-3">
+                        {msg.fusion.critiques.map((c, idx) => (
+                          <li key={idx} style={{ whiteSpace: 'pre-wrap' }}><strong>{shortModelName(c.model)}</strong>: {c.critique}</li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </details>
+              )}
             </div>
           </div>
         ))}
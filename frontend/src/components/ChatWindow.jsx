@@ -0,0 +1,221 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import ConversationSidebar from './ConversationSidebar';
+import MessageContent from './MessageContent';
+import useChatSession from '../hooks/useChatSession';
+import { LANGUAGES } from '../utility/language';
+import '../index.css';
+
+const HOME = { label: 'Home', icon: 'fa-home', path: '/' };
+
+const InfoPanel = ({ bot, theme, onQuickAction }) => (
+  <div className="col-md-3 p-3 border-end bg-white overflow-auto">
+    <div className="d-flex align-items-center mb-4">
+      <i className={`fas ${bot.brand?.icon || bot.icon} fa-2x text-${theme} me-3`}></i>
+      <h2 className={`h4 mb-0 text-${theme}`}>{bot.brand?.title || bot.title}</h2>
+    </div>
+
+    {(bot.panels || []).map(panel => (
+      <div key={panel.title} className="card mb-4">
+        <div className={`card-header bg-${theme} text-white`}>
+          <i className={`fas ${panel.icon} me-2`}></i>
+          {panel.title}
+        </div>
+        <div className="card-body">
+          <ul className="list-unstyled mb-0">
+            {panel.items.map(item => (
+              <li key={item.label} className="mb-3">
+                <i className={`fas ${item.icon} text-${theme} me-2`}></i>
+                {item.label}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    ))}
+
+    {bot.quickActions?.length > 0 && (
+      <div className="card">
+        <div className={`card-header bg-${theme} text-white`}>
+          <i className="fas fa-plus-square me-2"></i>
+          Quick Actions
+        </div>
+        <div className="card-body">
+          <div className="row g-2">
+            {bot.quickActions.map(action => (
+              <div key={action.label} className="col-6">
+                <button
+                  className={`btn btn-outline-${theme} w-100`}
+                  onClick={() => onQuickAction(action.prompt)}
+                  title={action.prompt}
+                >
+                  <i className={`fas ${action.icon} me-2`}></i>
+                  {action.label}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    )}
+  </div>
+);
+
+const LocationBar = ({ session }) => (
+  <div className="d-flex align-items-center gap-2 small mb-2">
+    {session.locationStatus === 'granted' ? (
+      <>
+        <span>📍 Location Enabled</span>
+        <button className="btn btn-link btn-sm p-0" onClick={session.clearLocation}>
+          (Clear)
+        </button>
+      </>
+    ) : (
+      <button
+        className="btn btn-success btn-sm"
+        onClick={session.requestLocation}
+        disabled={['requesting', 'unsupported'].includes(session.locationStatus)}
+      >
+        {session.locationStatus === 'denied' ? 'Retry Location' : 'Enable Location'}
+      </button>
+    )}
+  </div>
+);
+
+// Chat page for any bot definition (see src/bots): optional info panel, header, messages and voice-enabled input
+const ChatWindow = ({ bot }) => {
+  const navigate = useNavigate();
+  const session = useChatSession(bot);
+  const [showHistory, setShowHistory] = useState(false);
+  const messagesEndRef = useRef(null);
+  const theme = bot.theme || 'primary';
+  const back = bot.back || HOME;
+  const hasPanel = Boolean(bot.panels || bot.quickActions);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [session.messages]);
+
+  return (
+    <div className="container-fluid vh-100 bg-light">
+      <ConversationSidebar
+        bot={bot.id}
+        show={showHistory}
+        onClose={() => setShowHistory(false)}
+        activeId={session.conversationId}
+        onSelect={session.openConversation}
+        onNewChat={session.startNewChat}
+      />
+      <div className="row h-100">
+        {hasPanel && <InfoPanel bot={bot} theme={theme} onQuickAction={session.setInput} />}
+
+        {/* Chat Panel */}
+        <div className={`${hasPanel ? 'col-md-9' : 'col-12'} d-flex flex-column h-100 p-0`}>
+          <div className={`bg-${theme} text-white p-3 d-flex justify-content-between align-items-center`}>
+            <div className="d-flex align-items-center">
+              {bot.avatar
+                ? <span className="fs-4 me-3">{bot.avatar}</span>
+                : <i className={`fas ${bot.icon || 'fa-robot'} fa-lg me-3`}></i>}
+              <h2 className="h5 mb-0">{bot.title}</h2>
+            </div>
+            <div className="d-flex align-items-center gap-3">
+              <select
+                className="form-select form-select-sm bg-white"
+                value={session.language}
+                onChange={(e) => session.setLanguage(e.target.value)}
+              >
+                {(bot.languages || Object.keys(LANGUAGES)).map(code => (
+                  <option key={code} value={code}>{LANGUAGES[code].name}</option>
+                ))}
+              </select>
+              <button onClick={() => setShowHistory(true)} className="btn btn-light btn-sm">
+                <i className="fas fa-history me-2"></i>
+                History
+              </button>
+              <button onClick={() => navigate(back.path)} className="btn btn-light btn-sm">
+                <i className={`fas ${back.icon} me-2`}></i>
+                {back.label}
+              </button>
+            </div>
+          </div>
+
+          <div className="flex-grow-1 overflow-auto p-3 bg-light">
+            {session.messages.map((message, index) => (
+              <div
+                key={index}
+                className={`d-flex mb-3 ${message.isBot ? 'justify-content-start' : 'justify-content-end'}`}
+              >
+                <div
+                  className={`p-3 rounded-3 ${message.isBot ? 'bg-white' : `bg-${theme} text-white`}`}
+                  style={{ maxWidth: '80%', whiteSpace: message.isBot ? undefined : 'pre-wrap' }}
+                >
+                  <div className="d-flex align-items-start gap-2">
+                    <div className="flex-grow-1">
+                      {message.isBot
+                        ? <MessageContent content={message.text} className={message.isPrice ? 'price-response' : ''} />
+                        : message.text}
+                    </div>
+                    {message.isBot && !message.error && (
+                      <button
+                        onClick={() => session.speak(message.text)}
+                        className={`btn btn-link p-0 ${session.isSpeaking ? 'text-muted' : `text-${theme}`}`}
+                        title={session.isSpeaking ? 'Stop reading' : 'Read aloud'}
+                      >
+                        <i className={`fas ${session.isSpeaking ? 'fa-volume-mute' : 'fa-volume-up'}`}></i>
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+            {session.loading && (
+              <div className="text-center">
+                <div className={`spinner-border text-${theme}`} role="status">
+                  <span className="visually-hidden">Loading...</span>
+                </div>
+              </div>
+            )}
+            <div ref={messagesEndRef} />
+          </div>
+
+          <div className="border-top p-3 bg-white">
+            {bot.usesLocation && <LocationBar session={session} />}
+            <div className="input-group">
+              {session.canRecord && (
+                <button
+                  className={`btn ${session.isRecording ? 'btn-danger' : `btn-${theme}`}`}
+                  onClick={session.toggleRecording}
+                  title={session.isRecording ? 'Stop recording' : 'Speak'}
+                >
+                  <i className={`fas ${session.isRecording ? 'fa-microphone-slash' : 'fa-microphone'}`}></i>
+                </button>
+              )}
+              <input
+                type="text"
+                className="form-control"
+                placeholder={bot.placeholder || `Message ${bot.title}...`}
+                value={session.input}
+                onChange={(e) => session.setInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && session.send()}
+              />
+              <button
+                className={`btn btn-${theme}`}
+                onClick={() => session.send()}
+                disabled={session.loading}
+              >
+                Send
+              </button>
+            </div>
+            {bot.hint && (
+              <div className="text-center text-muted small mt-2">
+                {bot.hint}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatWindow;
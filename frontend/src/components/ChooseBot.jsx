@@ -1,15 +1,23 @@
 import React, { useState, useRef, useEffect } from 'react';
 import useAuth from '../store/UseAuth';
-import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import { streamSSE } from '../utility/sse';
+import { quotaExceededMessage } from '../utility/quota';
+import { formatCost } from '../utility/cost';
+import { LANGUAGES, languageNote } from '../utility/language';
+import { toPlainText } from '../utility/markdown';
+import ConversationSidebar from './ConversationSidebar';
+import AdvancedSettingsDrawer from './AdvancedSettingsDrawer';
+import { EMPTY_SETTINGS, generationParams } from '../utility/generation';
+import MessageFeedback from './MessageFeedback';
+import ReasoningPanel from './ReasoningPanel';
+import TranslationPanel from './TranslationPanel';
+import MessageContent from './MessageContent';
+import useConversations from '../store/UseConversations';
 
-const LANGUAGES = {
-  en: { name: 'English', native: 'English', code: 'en', voiceCode: 'en-US' },
-  hi: { name: 'Hindi', native: 'हिन्दी', code: 'hi', voiceCode: 'hi-IN' },
-  ar: { name: 'Arabic', native: 'العربية', code: 'ar', voiceCode: 'ar-SA' },
-  te: { name: 'Telugu', native: 'తెలుగు', code: 'te', voiceCode: 'te-IN' },
-  ta: { name: 'Tamil', native: 'தமிழ்', code: 'ta', voiceCode: 'ta-IN' },
-  ur: { name: 'Urdu', native: 'اردو', code: 'ur', voiceCode: 'ur-PK' }
+const STATUS_TEXT = {
+  english: 'Answering in English...',
+  translating: 'Translating answer...'
 };
 
 const ChooseBot = () => {
@@ -24,6 +32,12 @@ const ChooseBot = () => {
   const [isRecording, setIsRecording] = useState(false);
   const [abortController, setAbortController] = useState(new AbortController());
   const [selectedLanguage, setSelectedLanguage] = useState('en');
+  const [conversationId, setConversationId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [settings, setSettings] = useState(EMPTY_SETTINGS);
+  const [viaEnglish, setViaEnglish] = useState(false);
+  const { loadConversation } = useConversations();
 
   const messagesEndRef = useRef(null);
   const synthesis = useRef(window.speechSynthesis);
@@ -63,16 +77,11 @@ const ChooseBot = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
-  useEffect(() => {
-    setMessages(prev => prev.map(msg => ({
-      ...msg,
-      content: msg.content.replace(/<think>.*?<\/think>/gs, '')
-    })));
-  }, []);
-
   const formatModelName = (modelId) => {
-    const [provider, name] = modelId.split('/');
-    return `${provider.charAt(0).toUpperCase() + provider.slice(1)} ${name.split('-')[0].toUpperCase()}`;
+    // Ids without a provider prefix (e.g. FUSION_MODEL=gemini-2.0-flash) show just the model family
+    const [name, provider] = modelId.split('/').reverse();
+    const family = name.split('-')[0].toUpperCase();
+    return provider ? `${provider.charAt(0).toUpperCase() + provider.slice(1)} ${family}` : family;
   };
 
   const handleStop = () => {
@@ -104,52 +113,111 @@ const ChooseBot = () => {
       return setIsSpeaking(false);
     }
     if (!utterance.current) return console.error('No TTS available');
-    utterance.current.text = text;
+    utterance.current.text = toPlainText(text);
     synthesis.current.speak(utterance.current);
     setIsSpeaking(true);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!input.trim() || isLoading) return;
+  const openConversation = async (id) => {
+    const loaded = await loadConversation(id);
+    if (!loaded) return;
+    setConversationId(id);
+    setMessages(loaded.messages);
+  };
 
+  const startNewChat = () => {
+    setConversationId(null);
+    setMessages([]);
+  };
+
+  // Streams an answer into the bot message flagged `streaming`; resolves to true on success
+  const streamAnswer = async (prompt, options = {}) => {
     setIsLoading(true);
     synthesis.current.cancel();
     const controller = new AbortController();
     setAbortController(controller);
 
-    setMessages(prev => [...prev, { content: input, isBot: false }]);
+    // Tokens arrive as SSE events and are appended to the placeholder bot message
+    const updateBotMessage = (patch) => setMessages(prev => prev.map(msg =>
+      msg.streaming ? { ...msg, ...(typeof patch === 'function' ? patch(msg) : patch) } : msg
+    ));
+
+    // Via English the streamed tokens are the English draft; `done` brings the translated answer
+    const viaPipeline = viaEnglish && selectedLanguage !== 'en';
 
     try {
-      const { data } = await axios.post(
-        'http://localhost:3000/api/ml/llm',
-        { prompt: input, language: selectedLanguage },
-        { signal: controller.signal }
-      );
-
-      setMessages(prev => [
-        ...prev,
-        {
-          content: data.response.replace(/<think>.*?<\/think>/gs, ''),
-          isBot: true,
-          model: data.model.id,
-          candidates: data.candidates,
-          responseTime: data.responseTime
+      await streamSSE('/ml/llm', { prompt, language: selectedLanguage, conversationId, includeReasoning: true, ...(viaEnglish && { translate: true }), ...generationParams(settings), ...options }, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'meta') {
+            setConversationId(data.conversationId);
+            updateBotMessage({ model: data.model.id });
+          }
+          else if (event === 'token') updateBotMessage(msg => (viaPipeline ? { phase: msg.phase || 'english' } : { content: msg.content + data.text }));
+          else if (event === 'reasoning') updateBotMessage(msg => ({ reasoning: (msg.reasoning || '') + data.text }));
+          // What streamed so far was a reasoning trace after all; it arrives again as 'reasoning'
+          else if (event === 'retract') updateBotMessage({ content: '' });
+          // The routed model failed part-way; the next model starts the answer over
+          else if (event === 'fallback') updateBotMessage({ content: '', reasoning: '', model: data.to });
+          // The answer came back in the wrong language and is being asked for again
+          else if (event === 'language-retry') updateBotMessage({ content: '', reasoning: '' });
+          else if (event === 'translating') updateBotMessage({ phase: 'translating' });
+          else if (event === 'done') {
+            updateBotMessage({
+              content: data.response,
+              reasoning: data.reasoning,
+              model: data.model.id,
+              candidates: data.candidates,
+              responseTime: data.responseTime,
+              fallback: data.fallback,
+              language: data.language,
+              translation: data.translation,
+              cost: data.cost,
+              messageId: data.messageId,
+              streaming: false
+            });
+          } else if (event === 'error') throw new Error(data.error);
         }
-      ]);
-      setInput('');
+      });
+      return true;
     } catch (err) {
-      if (!axios.isCancel(err)) {
-        setMessages(prev => [
-          ...prev,
-          { content: '⚠️ Failed to get response.', isBot: true, error: true }
-        ]);
+      if (err.name === 'AbortError') {
+        updateBotMessage({ streaming: false });
+      } else {
+        const quotaMessage = quotaExceededMessage(err);
+        updateBotMessage({ content: quotaMessage ? `⚠️ ${quotaMessage}` : '⚠️ Failed to get response.', error: true, streaming: false });
       }
+      return false;
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!input.trim() || isLoading) return;
+
+    setMessages(prev => [
+      ...prev,
+      { content: input, isBot: false },
+      { content: '', isBot: true, streaming: true }
+    ]);
+    if (await streamAnswer(input)) setInput('');
+  };
+
+  // Answer the same prompt again, skipping every model that already answered it
+  const handleRegenerate = (index) => {
+    const prompt = messages[index - 1]?.content;
+    if (isLoading || !prompt) return;
+
+    const previous = messages[index];
+    const triedModels = [...(previous.triedModels || []), previous.model].filter(Boolean);
+    setMessages(prev => prev.map((msg, i) =>
+      i === index ? { content: '', isBot: true, streaming: true, triedModels } : msg
+    ));
+    streamAnswer(prompt, { excludeModels: triedModels, regenerate: true });
+  };
+
   const getPlaceholder = () => {
     switch (selectedLanguage) {
       case 'te': return 'ఏదైనా ప్రశ్న అడగండి...';
@@ -163,6 +231,22 @@ const ChooseBot = () => {
 
   return (
     <div className={`vh-100 d-flex flex-column ${isDarkMode ? 'bg-dark text-light' : 'bg-light'}`}>
+      <ConversationSidebar
+        bot="router"
+        show={showHistory}
+        onClose={() => setShowHistory(false)}
+        activeId={conversationId}
+        onSelect={openConversation}
+        onNewChat={startNewChat}
+        isDarkMode={isDarkMode}
+      />
+      <AdvancedSettingsDrawer
+        show={showSettings}
+        onClose={() => setShowSettings(false)}
+        settings={settings}
+        onChange={setSettings}
+        isDarkMode={isDarkMode}
+      />
       {/* Header */}
       <div className="d-flex justify-content-between align-items-center p-3 border-bottom">
         <div className="d-flex gap-2 align-items-center">
@@ -178,12 +262,47 @@ const ChooseBot = () => {
             ))}
           </select>
 
+          {selectedLanguage !== 'en' && (
+            <div className="form-check form-switch mb-0 text-nowrap" title="Ask the models in English and translate the answer back">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                id="viaEnglish"
+                checked={viaEnglish}
+                onChange={(e) => setViaEnglish(e.target.checked)}
+              />
+              <label className={`form-check-label small ${isDarkMode ? 'text-light' : ''}`} htmlFor="viaEnglish">Via English</label>
+            </div>
+          )}
+
           {isLoading && (
             <button className="btn btn-danger btn-sm" onClick={handleStop}>
               <i className="fas fa-stop-circle me-2"></i> Stop
             </button>
           )}
 
+          <button
+            className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
+            onClick={() => setShowHistory(true)}
+          >
+            <i className="fas fa-history me-2"></i> History
+          </button>
+
+          <button
+            className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
+            onClick={() => setShowSettings(true)}
+          >
+            <i className="fas fa-sliders-h me-2"></i> Settings
+            {Object.keys(generationParams(settings)).length > 0 && <span className="badge bg-primary ms-2">on</span>}
+          </button>
+
+          <button
+            className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
+            onClick={() => navigate('/usage')}
+          >
+            <i className="fas fa-chart-bar me-2"></i> Usage
+          </button>
+
           <button 
             className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
             onClick={handleLogout}
@@ -226,7 +345,20 @@ const ChooseBot = () => {
                     <div className="d-flex align-items-center">
                       <i className={`fas fa-microphone ${isDarkMode ? 'text-light' : 'text-muted'} me-2`}></i>
                       <small className={`${isDarkMode ? 'text-light' : 'text-muted'}`}>
-                        {formatModelName(msg.model)} • <span className="text-success">{msg.responseTime}ms</span>
+                        {msg.model ? formatModelName(msg.model) : (msg.streaming ? 'Selecting model...' : 'Assistant')}
+                        {msg.streaming
+                          ? <>
+                              {STATUS_TEXT[msg.phase] && <span className="ms-1">• {STATUS_TEXT[msg.phase]}</span>}
+                              <span className="spinner-grow spinner-grow-sm ms-2" role="status"></span>
+                            </>
+                          : <> • <span className="text-success">{msg.responseTime}ms</span></>}
+                        {formatCost(msg.cost) && <span className="ms-1" title="Estimated model cost">• {formatCost(msg.cost)}</span>}
+                        {msg.fallback && (
+                          <span className="text-warning ms-1" title={`${formatModelName(msg.fallback.from)} failed (${msg.fallback.reason})`}>
+                            • fallback from {formatModelName(msg.fallback.from)}
+                          </span>
+                        )}
+                        {languageNote(msg.language) && <span className="ms-1">• {languageNote(msg.language)}</span>}
                       </small>
                     </div>
 
@@ -249,9 +381,27 @@ const ChooseBot = () => {
                 </>
               )}
 
-              <div className="mb-2" style={{ whiteSpace: 'pre-wrap' }}>
-                {msg.content}
-              </div>
+              <ReasoningPanel reasoning={msg.reasoning} streaming={msg.streaming && !msg.content} isDarkMode={isDarkMode} />
+
+              {msg.isBot ? (
+                <MessageContent content={msg.content} className="mb-2" />
+              ) : (
+                <div className="mb-2" style={{ whiteSpace: 'pre-wrap' }}>
+                  {msg.content}
+                </div>
+              )}
+
+              <TranslationPanel translation={msg.translation} isDarkMode={isDarkMode} />
+
+              {msg.isBot && !msg.streaming && !msg.error && (
+                <MessageFeedback
+                  key={msg.messageId || i}
+                  message={msg}
+                  onRegenerate={() => handleRegenerate(i)}
+                  disabled={isLoading}
+                  isDarkMode={isDarkMode}
+                />
+              )}
             </div>
           </div>
         ))}
@@ -0,0 +1,88 @@
+import React, { useEffect } from 'react';
+import useAuth from '../store/UseAuth';
+import useConversations from '../store/UseConversations';
+
+// Slide-in list of the user's past chats for one bot; hidden for signed-out users
+const ConversationSidebar = ({ bot, show, onClose, activeId, onSelect, onNewChat, isDarkMode }) => {
+  const { authUser } = useAuth();
+  const { conversations, isLoadingConversations, fetchConversations, deleteConversation } = useConversations();
+
+  useEffect(() => {
+    if (show && authUser) fetchConversations(bot);
+  }, [show, authUser, bot, fetchConversations]);
+
+  if (!show) return null;
+
+  return (
+    <>
+      <div
+        className="position-fixed top-0 start-0 w-100 h-100 bg-dark bg-opacity-25"
+        style={{ zIndex: 1040 }}
+        onClick={onClose}
+      />
+      <div
+        className={`position-fixed top-0 start-0 h-100 d-flex flex-column shadow ${isDarkMode ? 'bg-dark text-light' : 'bg-white'}`}
+        style={{ width: '300px', zIndex: 1050 }}
+      >
+        <div className="d-flex justify-content-between align-items-center p-3 border-bottom">
+          <h6 className="mb-0">
+            <i className="fas fa-history me-2"></i>
+            Chat History
+          </h6>
+          <button className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-secondary'}`} onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="p-3 border-bottom">
+          <button className="btn btn-primary btn-sm w-100" onClick={() => { onNewChat(); onClose(); }}>
+            <i className="fas fa-plus me-2"></i>
+            New chat
+          </button>
+        </div>
+
+        <div className="flex-grow-1 overflow-auto">
+          {!authUser && (
+            <p className="small text-muted p-3 mb-0">Log in to keep your chat history.</p>
+          )}
+          {authUser && isLoadingConversations && (
+            <div className="text-center p-3">
+              <span className="spinner-border spinner-border-sm" role="status"></span>
+            </div>
+          )}
+          {authUser && !isLoadingConversations && !conversations.length && (
+            <p className="small text-muted p-3 mb-0">No saved chats yet.</p>
+          )}
+          {authUser && !isLoadingConversations && conversations.map(conversation => (
+            <div
+              key={conversation._id}
+              role="button"
+              className={`d-flex align-items-center px-3 py-2 border-bottom ${
+                conversation._id === activeId ? (isDarkMode ? 'bg-secondary' : 'bg-light') : ''
+              }`}
+              onClick={() => { onSelect(conversation._id); onClose(); }}
+            >
+              <div className="flex-grow-1 text-truncate">
+                <div className="small fw-medium text-truncate">{conversation.title}</div>
+                <small className="text-muted">{new Date(conversation.updatedAt).toLocaleString()}</small>
+              </div>
+              <button
+                className="btn btn-link btn-sm text-danger p-0 ms-2"
+                title="Delete chat"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  deleteConversation(conversation._id);
+                  if (conversation._id === activeId) onNewChat();
+                }}
+              >
+                <i className="fas fa-trash"></i>
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ConversationSidebar;
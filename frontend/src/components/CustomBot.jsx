@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import useBots from '../store/UseBots';
+import ChatWindow from './ChatWindow';
+import { customBotDefinition } from '../bots';
+
+// Chat page for a user-defined bot; the backend prepends the bot's instruction
+const CustomBot = () => {
+  const navigate = useNavigate();
+  const { botId } = useParams();
+  const { getCustomBot } = useBots();
+  const [bot, setBot] = useState(null);
+
+  useEffect(() => {
+    getCustomBot(botId).then(found => {
+      if (!found) return navigate('/listOchat');
+      setBot(customBotDefinition(found));
+    });
+  }, [botId, getCustomBot, navigate]);
+
+  if (!bot || bot.id !== botId) {
+    return (
+      <div className="vh-100 d-flex align-items-center justify-content-center">
+        <div className="spinner-border text-primary" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return <ChatWindow key={bot.id} bot={bot} />;
+};
+
+export default CustomBot;
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { Modal } from 'react-bootstrap';
+import useBots from '../store/UseBots';
+import { LANGUAGES } from '../utility/language';
+
+const EMPTY_BOT = { title: '', instruction: '', preferredModels: [], language: 'en', avatar: '', semanticCache: false };
+
+// Create or edit one of the user's custom bots; `bot` is null when creating
+const CustomBotForm = ({ show, bot, onHide }) => {
+  const { availableModels, fetchAvailableModels, saveCustomBot, isSavingBot } = useBots();
+  const [form, setForm] = useState(EMPTY_BOT);
+
+  useEffect(() => {
+    if (!show) return;
+    fetchAvailableModels();
+    setForm(bot ? { ...EMPTY_BOT, ...bot } : EMPTY_BOT);
+  }, [show, bot, fetchAvailableModels]);
+
+  const update = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
+  const toggleModel = (id) => setForm(f => ({
+    ...f,
+    preferredModels: f.preferredModels.includes(id)
+      ? f.preferredModels.filter(m => m !== id)
+      : [...f.preferredModels, id]
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { title, instruction, preferredModels, language, avatar, semanticCache } = form;
+    const saved = await saveCustomBot({ title, instruction, preferredModels, language, avatar, semanticCache }, bot?._id);
+    if (saved) onHide();
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>{bot ? 'Edit bot' : 'Create your own bot'}</Modal.Title>
+        </Modal.Header>
+
+        <Modal.Body>
+          <div className="row g-2 mb-3">
+            <div className="col-3">
+              <label className="form-label small">Avatar</label>
+              <input className="form-control" placeholder="🤖" value={form.avatar} onChange={update('avatar')} />
+            </div>
+            <div className="col-9">
+              <label className="form-label small">Title</label>
+              <input className="form-control" required maxLength={80} value={form.title} onChange={update('title')} />
+            </div>
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label small">Instruction</label>
+            <textarea
+              className="form-control"
+              rows={5}
+              required
+              maxLength={4000}
+              placeholder="You are a friendly travel planner. Ask about budget and dates before suggesting trips."
+              value={form.instruction}
+              onChange={update('instruction')}
+            />
+          </div>
+
+          <div className="mb-3">
+            <label className="form-label small">Default language</label>
+            <select className="form-select" value={form.language} onChange={update('language')}>
+              {Object.values(LANGUAGES).map(({ code, name }) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-check mb-3">
+            <input
+              id="semantic-cache"
+              type="checkbox"
+              className="form-check-input"
+              checked={form.semanticCache}
+              onChange={(e) => setForm(f => ({ ...f, semanticCache: e.target.checked }))}
+            />
+            <label className="form-check-label small" htmlFor="semantic-cache">
+              Reuse answers to similar questions <span className="text-muted">(faster, may repeat an earlier answer)</span>
+            </label>
+          </div>
+
+          <div>
+            <label className="form-label small d-block">Preferred models <span className="text-muted">(none = automatic)</span></label>
+            {availableModels.map(model => (
+              <div className="form-check" key={model.id}>
+                <input
+                  id={`model-${model.id}`}
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={form.preferredModels.includes(model.id)}
+                  onChange={() => toggleModel(model.id)}
+                />
+                <label className="form-check-label small" htmlFor={`model-${model.id}`}>
+                  {model.id} <span className="text-muted">• {model.expertise}</span>
+                </label>
+              </div>
+            ))}
+          </div>
+        </Modal.Body>
+
+        <Modal.Footer>
+          <button type="button" className="btn btn-outline-secondary" onClick={onHide}>Cancel</button>
+          <button type="submit" className="btn btn-primary" disabled={isSavingBot}>
+            {isSavingBot && <span className="spinner-border spinner-border-sm me-2" role="status"></span>}
+            {bot ? 'Save' : 'Create'}
+          </button>
+        </Modal.Footer>
+      </form>
+    </Modal>
+  );
+};
+
+export default CustomBotForm;
@@ -1,6 +1,27 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import useModels from '../store/UseModels';
+
+// Card styling by vendor prefix of the model id
+const VENDOR_STYLES = {
+  meta: { icon: 'fab fa-meta', color: 'primary' },
+  google: { icon: 'fab fa-google', color: 'danger' },
+  gemini: { icon: 'fab fa-google', color: 'danger' },
+  'deepseek-ai': { icon: 'fas fa-rocket', color: 'warning' }
+};
+const DEFAULT_STYLE = { icon: 'fas fa-microchip', color: 'secondary' };
+
+const formatContext = (tokens) =>
+  tokens >= 1000 ? `${Math.round(tokens / 1000)}K context` : `${tokens} context`;
 
 const FeatureForChooseBot = ({ isDarkMode }) => {
+  const { models, isLoadingModels, fetchModels } = useModels();
+
+  useEffect(() => {
+    fetchModels();
+  }, [fetchModels]);
+
+  const expertModels = models.filter(model => model.roles.includes('expert'));
+
   return (
     <div className={`d-flex flex-column h-100 p-3 border rounded shadow-sm ${isDarkMode ? 'bg-dark text-light border-secondary' : 'bg-white'}`}>
       {/* Header */}
@@ -41,46 +62,40 @@ const FeatureForChooseBot = ({ isDarkMode }) => {
         </h6>
         
         <div className="row g-3">
-          {[
-            { 
-              icon: 'fab fa-meta', 
-              name: 'Llama 3 70B', 
-              desc: 'General Purpose LLM',
-              specs: '70B Params',
-              color: 'primary'
-            },
-            { 
-              icon: 'fab fa-google', 
-              name: 'Gemma 7B', 
-              desc: 'Research Optimized',
-              specs: '7B Parameters',
-              color: 'danger'
-            },
-            { 
-              icon: 'fas fa-rocket', 
-              name: 'DeepSeek 8B', 
-              desc: 'Distilled Efficiency',
-              specs: '8B Params',
-              color: 'warning'
-            }
-          ].map((model, index) => (
-            <div key={index} className="col-12">
-              <div className={`card border-${model.color} ${isDarkMode ? 'bg-dark' : ''}`}>
-                <div className="card-body p-3">
-                  <div className="d-flex align-items-center">
-                    <i className={`${model.icon} fa-lg text-${model.color} me-3`}></i>
-                    <div>
-                      <h6 className={`mb-1 ${isDarkMode ? 'text-light' : 'text-dark'}`}>{model.name}</h6>
-                      <small className={`${isDarkMode ? 'text-light' : 'text-muted'}`}>
-                        {model.desc} • <span className="text-muted">{model.specs}</span>
-                      </small>
+          {isLoadingModels && !expertModels.length && (
+            <div className={`col-12 small ${isDarkMode ? 'text-light' : 'text-muted'}`}>Loading models...</div>
+          )}
+          {!isLoadingModels && !expertModels.length && (
+            <div className={`col-12 small ${isDarkMode ? 'text-light' : 'text-muted'}`}>No models are currently enabled.</div>
+          )}
+          {expertModels.map((entry) => {
+            const style = VENDOR_STYLES[entry.id.split('/')[0]] || VENDOR_STYLES[entry.id.split('-')[0]] || DEFAULT_STYLE;
+            const model = {
+              ...style,
+              name: entry.name,
+              desc: entry.expertise,
+              specs: formatContext(entry.context),
+              provider: entry.provider
+            };
+            return (
+              <div key={entry.id} className="col-12">
+                <div className={`card border-${model.color} ${isDarkMode ? 'bg-dark' : ''}`}>
+                  <div className="card-body p-3">
+                    <div className="d-flex align-items-center">
+                      <i className={`${model.icon} fa-lg text-${model.color} me-3`}></i>
+                      <div>
+                        <h6 className={`mb-1 ${isDarkMode ? 'text-light' : 'text-dark'}`}>{model.name}</h6>
+                        <small className={`${isDarkMode ? 'text-light' : 'text-muted'}`}>
+                          {model.desc} • <span className="text-muted">{model.specs}</span>
+                        </small>
+                      </div>
+                      <span className={`badge bg-${model.color} ms-auto`}>{model.provider}</span>
                     </div>
-                    <span className={`badge bg-${model.color} ms-auto`}>v2.3</span>
                   </div>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       </div>
 
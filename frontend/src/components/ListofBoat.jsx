@@ -1,5 +1,8 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import useAuth from '../store/UseAuth';
+import useBots from '../store/UseBots';
+import CustomBotForm from './CustomBotForm';
 
 // Add Font Awesome CDN in your public/index.html head section:
 // <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
@@ -64,7 +67,63 @@ const ChatbotCard = ({ type, description, example, path }) => {
   );
 };
 
+const isImageUrl = (value) => /^https?:\/\//.test(value);
+
+// Card for one of the signed-in user's own bots
+const CustomBotCard = ({ bot, onEdit, onDelete }) => {
+  const navigate = useNavigate();
+
+  return (
+    <div
+      onClick={() => navigate(`/custom-chat/${bot._id}`)}
+      className="card bg-dark text-white mb-4 hover-shadow cursor-pointer transition-all"
+      style={{ minHeight: '250px' }}
+      role="button"
+      tabIndex={0}
+    >
+      <div className="card-body d-flex flex-column">
+        <div className="d-flex align-items-center mb-3">
+          {isImageUrl(bot.avatar)
+            ? <img src={bot.avatar} alt="" className="rounded-circle me-3" style={{ width: 40, height: 40, objectFit: 'cover' }} />
+            : <span className="fs-2 me-3">{bot.avatar || <i className="fas fa-robot"></i>}</span>}
+          <h3 className="card-title mb-0 text-truncate">{bot.title}</h3>
+        </div>
+        <p className="card-text flex-grow-1 small" style={{ whiteSpace: 'pre-line' }}>
+          {bot.instruction.length > 160 ? `${bot.instruction.slice(0, 160)}...` : bot.instruction}
+        </p>
+        <div className="d-flex gap-2 mt-3">
+          <span className="badge bg-secondary me-auto align-self-center">My bot</span>
+          <button className="btn btn-sm btn-outline-light" onClick={(e) => { e.stopPropagation(); onEdit(bot); }}>
+            <i className="fas fa-pen"></i>
+          </button>
+          <button className="btn btn-sm btn-outline-danger" onClick={(e) => { e.stopPropagation(); onDelete(bot); }}>
+            <i className="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const ListofBoat = () => {
+  const { authUser } = useAuth();
+  const { customBots, fetchCustomBots, deleteCustomBot } = useBots();
+  const [showForm, setShowForm] = useState(false);
+  const [editingBot, setEditingBot] = useState(null);
+
+  useEffect(() => {
+    if (authUser) fetchCustomBots();
+  }, [authUser, fetchCustomBots]);
+
+  const openForm = (bot = null) => {
+    setEditingBot(bot);
+    setShowForm(true);
+  };
+
+  const handleDelete = (bot) => {
+    if (window.confirm(`Delete "${bot.title}"?`)) deleteCustomBot(bot._id);
+  };
+
   const chatbots = [
     {
       type: 'Legal',
@@ -110,7 +169,30 @@ const ListofBoat = () => {
             />
           </div>
         ))}
+
+        {authUser && customBots.map(bot => (
+          <div className="col" key={bot._id}>
+            <CustomBotCard bot={bot} onEdit={openForm} onDelete={handleDelete} />
+          </div>
+        ))}
+
+        {authUser && (
+          <div className="col">
+            <div
+              onClick={() => openForm()}
+              className="card border-2 border-dashed mb-4 cursor-pointer d-flex align-items-center justify-content-center text-muted"
+              style={{ minHeight: '250px', borderStyle: 'dashed' }}
+              role="button"
+              tabIndex={0}
+            >
+              <i className="fas fa-plus-circle fa-3x mb-3"></i>
+              <h5 className="mb-0">Create your own bot</h5>
+            </div>
+          </div>
+        )}
       </div>
+
+      <CustomBotForm show={showForm} bot={editingBot} onHide={() => setShowForm(false)} />
     </div>
   );
 };
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { REMARK_PLUGINS, REHYPE_PLUGINS } from '../utility/markdown';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/atom-one-dark.css';
+
+// Text of a hast node, e.g. a code block after highlighting split it into spans
+const nodeText = (node) => node.value ?? (node.children || []).map(nodeText).join('');
+
+const CodeBlock = ({ node, children }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(nodeText(node).replace(/\n$/, ''));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error('Copy failed', error);
+    }
+  };
+
+  return (
+    <div className="position-relative mb-2">
+      <button
+        type="button"
+        className="btn btn-sm btn-dark position-absolute top-0 end-0 m-1 py-0 px-2 opacity-75"
+        onClick={copy}
+        title="Copy code"
+      >
+        <i className={`fas ${copied ? 'fa-check' : 'fa-copy'}`}></i>
+      </button>
+      <pre className="rounded p-3 mb-0 small" style={{ background: '#282c34', color: '#abb2bf', overflowX: 'auto' }}>
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+const COMPONENTS = {
+  pre: CodeBlock,
+  p: ({ children }) => <p className="mb-2">{children}</p>,
+  table: ({ children }) => (
+    <div className="table-responsive">
+      <table className="table table-sm table-bordered mb-2">{children}</table>
+    </div>
+  ),
+  a: ({ href, children }) => <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>
+};
+
+// Shared renderer for model answers: sanitized Markdown with tables, highlighted code and LaTeX math
+const MessageContent = ({ content, className = '' }) => (
+  <div className={`message-content text-break ${className}`}>
+    <ReactMarkdown remarkPlugins={REMARK_PLUGINS} rehypePlugins={REHYPE_PLUGINS} components={COMPONENTS}>
+      {content || ''}
+    </ReactMarkdown>
+  </div>
+);
+
+export default MessageContent;
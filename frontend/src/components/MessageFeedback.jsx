@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { FaThumbsUp, FaThumbsDown, FaRedo, FaColumns } from 'react-icons/fa';
+import useFeedback from '../store/UseFeedback';
+import CandidateCompare from './CandidateCompare';
+
+// Rating, regenerate and compare actions shown under a finished bot answer
+const MessageFeedback = ({ message, onRegenerate, disabled, isDarkMode }) => {
+  const { sendFeedback, isSendingFeedback } = useFeedback();
+  const [rating, setRating] = useState(null);
+  const [reason, setReason] = useState('');
+  const [showReason, setShowReason] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+
+  const muted = isDarkMode ? 'text-light' : 'text-muted';
+  const canRate = Boolean(message.messageId);
+  const canCompare = message.candidateResponses?.length > 1;
+
+  const rate = async (value) => {
+    if (await sendFeedback({ messageId: message.messageId, rating: value })) {
+      setRating(value);
+      setShowReason(true);
+    }
+  };
+
+  // Re-sends the rating with the reason attached; the server keeps one rating per message
+  const submitReason = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return setShowReason(false);
+    if (await sendFeedback({ messageId: message.messageId, rating, reason: reason.trim() })) {
+      setShowReason(false);
+    }
+  };
+
+  return (
+    <div className="pe-4">
+      <div className="d-flex align-items-center gap-2 small">
+        {canRate && (
+          <>
+            <button
+              className={`btn btn-link btn-sm p-0 ${rating === 'up' ? 'text-success' : muted}`}
+              onClick={() => rate('up')}
+              disabled={isSendingFeedback}
+              title="Good answer"
+            >
+              <FaThumbsUp />
+            </button>
+            <button
+              className={`btn btn-link btn-sm p-0 ${rating === 'down' ? 'text-danger' : muted}`}
+              onClick={() => rate('down')}
+              disabled={isSendingFeedback}
+              title="Bad answer"
+            >
+              <FaThumbsDown />
+            </button>
+          </>
+        )}
+        {onRegenerate && (
+          <button
+            className={`btn btn-link btn-sm p-0 text-decoration-none ${muted}`}
+            onClick={onRegenerate}
+            disabled={disabled}
+            title="Regenerate with another model"
+          >
+            <FaRedo className="me-1" /> Another model
+          </button>
+        )}
+        {canCompare && (
+          <button
+            className={`btn btn-link btn-sm p-0 text-decoration-none ${muted}`}
+            onClick={() => setShowCompare(true)}
+            title="Compare all candidate answers"
+          >
+            <FaColumns className="me-1" /> Compare
+          </button>
+        )}
+      </div>
+
+      {showReason && (
+        <form onSubmit={submitReason} className="input-group input-group-sm mt-2" style={{ maxWidth: '420px' }}>
+          <input
+            type="text"
+            className={`form-control ${isDarkMode ? 'bg-dark text-light border-secondary' : ''}`}
+            placeholder={rating === 'down' ? 'What was wrong? (optional)' : 'What was good? (optional)'}
+            value={reason}
+            maxLength={500}
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <button type="submit" className="btn btn-outline-secondary" disabled={isSendingFeedback}>
+            {reason.trim() ? 'Send' : 'Skip'}
+          </button>
+        </form>
+      )}
+
+      {canCompare && (
+        <CandidateCompare
+          show={showCompare}
+          onHide={() => setShowCompare(false)}
+          message={message}
+          isDarkMode={isDarkMode}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MessageFeedback;
@@ -0,0 +1,23 @@
+import React from 'react';
+
+// Collapsible "model thinking" trace, kept apart from the answer itself
+const ReasoningPanel = ({ reasoning, streaming, isDarkMode }) => {
+  if (!reasoning) return null;
+
+  return (
+    <details className={`mb-2 small rounded border ${isDarkMode ? 'border-secondary' : ''}`} open={streaming}>
+      <summary className={`px-2 py-1 ${isDarkMode ? 'text-light' : 'text-muted'}`} style={{ cursor: 'pointer' }}>
+        <i className={`fas ${streaming ? 'fa-spinner fa-spin' : 'fa-brain'} me-1`}></i>
+        Model thinking
+      </summary>
+      <div
+        className={`px-2 pb-2 ${isDarkMode ? 'text-light' : 'text-muted'}`}
+        style={{ whiteSpace: 'pre-wrap', maxHeight: '240px', overflowY: 'auto' }}
+      >
+        {reasoning}
+      </div>
+    </details>
+  );
+};
+
+export default ReasoningPanel;
@@ -0,0 +1,25 @@
+import React from 'react';
+import MessageContent from './MessageContent';
+
+// English prompt and answer behind a translated reply, so bilingual users can check the meaning
+const TranslationPanel = ({ translation, isDarkMode }) => {
+  if (!translation) return null;
+  const muted = isDarkMode ? 'text-light' : 'text-muted';
+
+  return (
+    <details className={`mb-2 small rounded border ${isDarkMode ? 'border-secondary' : ''}`}>
+      <summary className={`px-2 py-1 ${muted}`} style={{ cursor: 'pointer' }}>
+        <i className="fas fa-language me-1"></i>
+        English version
+      </summary>
+      <div className={`px-2 pb-2 ${muted}`}>
+        <div className="fw-semibold">Question</div>
+        <div className="mb-2" style={{ whiteSpace: 'pre-wrap' }}>{translation.prompt}</div>
+        <div className="fw-semibold">Answer</div>
+        <MessageContent content={translation.response} />
+      </div>
+    </details>
+  );
+};
+
+export default TranslationPanel;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useUsage from '../store/UseUsage';
+
+const formatTokens = (n) => n.toLocaleString();
+
+const QuotaCard = ({ label, quota, isDarkMode }) => {
+  const unlimited = !quota.limit;
+  const percent = unlimited ? 0 : Math.min(100, Math.round((quota.used / quota.limit) * 100));
+  const barColor = percent >= 90 ? 'bg-danger' : percent >= 70 ? 'bg-warning' : 'bg-success';
+
+  return (
+    <div className={`card h-100 ${isDarkMode ? 'bg-dark text-light border-secondary' : ''}`}>
+      <div className="card-body">
+        <h6 className="card-title">{label}</h6>
+        <div className="fs-4 fw-bold">
+          {formatTokens(quota.used)}
+          <span className="fs-6 fw-normal text-muted"> / {unlimited ? 'unlimited' : formatTokens(quota.limit)} tokens</span>
+        </div>
+        {!unlimited && (
+          <div className="progress my-2" style={{ height: '8px' }}>
+            <div className={`progress-bar ${barColor}`} style={{ width: `${percent}%` }}></div>
+          </div>
+        )}
+        <small className="text-muted">Resets {new Date(quota.resetAt).toLocaleString()}</small>
+      </div>
+    </div>
+  );
+};
+
+const BreakdownTable = ({ title, rows, labelKey, isDarkMode }) => (
+  <div className={`card h-100 ${isDarkMode ? 'bg-dark text-light border-secondary' : ''}`}>
+    <div className="card-body">
+      <h6 className="card-title">{title}</h6>
+      {rows.length ? (
+        <table className={`table table-sm mb-0 ${isDarkMode ? 'table-dark' : ''}`}>
+          <thead>
+            <tr>
+              <th>{labelKey === 'model' ? 'Model' : 'Route'}</th>
+              <th className="text-end">Prompt</th>
+              <th className="text-end">Completion</th>
+              <th className="text-end">Calls</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row[labelKey]}>
+                <td className="text-break">{row[labelKey]}</td>
+                <td className="text-end">{formatTokens(row.promptTokens)}</td>
+                <td className="text-end">{formatTokens(row.completionTokens)}</td>
+                <td className="text-end">{row.calls}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <small className="text-muted">No usage this month.</small>
+      )}
+    </div>
+  </div>
+);
+
+// Daily token totals as a simple bar chart
+const DailyChart = ({ days, isDarkMode }) => {
+  const max = Math.max(1, ...days.map(d => d.promptTokens + d.completionTokens));
+
+  return (
+    <div className={`card ${isDarkMode ? 'bg-dark text-light border-secondary' : ''}`}>
+      <div className="card-body">
+        <h6 className="card-title">Tokens per day</h6>
+        {days.length ? (
+          <div className="d-flex align-items-end gap-1" style={{ height: '160px' }}>
+            {days.map(day => {
+              const total = day.promptTokens + day.completionTokens;
+              return (
+                <div
+                  key={day.date}
+                  className="flex-fill bg-info rounded-top"
+                  style={{ height: `${Math.max(2, (total / max) * 100)}%` }}
+                  title={`${day.date}: ${formatTokens(total)} tokens (${day.calls} calls)`}
+                ></div>
+              );
+            })}
+          </div>
+        ) : (
+          <small className="text-muted">No usage in this period.</small>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const UsageDashboard = () => {
+  const navigate = useNavigate();
+  const { usage, isLoadingUsage, fetchUsage } = useUsage();
+  const [days, setDays] = useState(30);
+  const [isDarkMode, setIsDarkMode] = useState(false);
+
+  useEffect(() => {
+    fetchUsage(days);
+  }, [days, fetchUsage]);
+
+  return (
+    <div className={`container-fluid min-vh-100 py-3 ${isDarkMode ? 'bg-dark text-light' : 'bg-light'}`}>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div className="d-flex align-items-center gap-2">
+          <button
+            className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
+            onClick={() => navigate('/chat')}
+          >
+            <i className="fas fa-arrow-left"></i>
+          </button>
+          <h4 className="mb-0">
+            <i className="fas fa-chart-bar me-2"></i>
+            Token Usage
+          </h4>
+        </div>
+
+        <div className="d-flex gap-2">
+          <select
+            className={`form-select form-select-sm ${isDarkMode ? 'bg-dark text-light border-secondary' : ''}`}
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+          >
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+          <button
+            className={`btn btn-sm ${isDarkMode ? 'btn-outline-light' : 'btn-outline-dark'}`}
+            onClick={() => setIsDarkMode(!isDarkMode)}
+          >
+            <i className={`fas ${isDarkMode ? 'fa-sun' : 'fa-moon'}`}></i>
+          </button>
+        </div>
+      </div>
+
+      {isLoadingUsage && !usage && <p className="text-muted">Loading usage...</p>}
+
+      {usage && (
+        <>
+          <div className="row g-3 mb-3">
+            <div className="col-md-6">
+              <QuotaCard label="Today" quota={usage.quota.daily} isDarkMode={isDarkMode} />
+            </div>
+            <div className="col-md-6">
+              <QuotaCard label="This month" quota={usage.quota.monthly} isDarkMode={isDarkMode} />
+            </div>
+          </div>
+
+          <div className="mb-3">
+            <DailyChart days={usage.daily} isDarkMode={isDarkMode} />
+          </div>
+
+          <div className="row g-3">
+            <div className="col-lg-6">
+              <BreakdownTable title="This month by model" rows={usage.byModel} labelKey="model" isDarkMode={isDarkMode} />
+            </div>
+            <div className="col-lg-6">
+              <BreakdownTable title="This month by route" rows={usage.byRoute} labelKey="route" isDarkMode={isDarkMode} />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UsageDashboard;
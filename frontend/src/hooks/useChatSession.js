@@ -0,0 +1,173 @@
+import { useState, useRef, useEffect } from 'react'
+import axiosInstance from '../utility/axios'
+import useConversations from '../store/UseConversations'
+import { quotaExceededMessage } from '../utility/quota'
+import { toPlainText } from '../utility/markdown'
+import { LANGUAGES } from '../utility/language'
+
+const voiceFor = (language) => LANGUAGES[language] || LANGUAGES.en
+
+const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition
+
+// Conversation state, voice input and read-aloud for one bot definition (see src/bots), talking to
+// POST /api/bots/:id/chat. `usesLocation` sends the browser's location with each message once shared;
+// `intercept(message, session)` may answer locally by returning a reply instead of calling the backend.
+const useChatSession = (bot) => {
+    const [messages, setMessages] = useState([])
+    const [input, setInput] = useState('')
+    const [language, setLanguage] = useState(bot.defaultLanguage || 'en')
+    const [loading, setLoading] = useState(false)
+    const [conversationId, setConversationId] = useState(null)
+    const [isRecording, setIsRecording] = useState(false)
+    const [isSpeaking, setIsSpeaking] = useState(false)
+    const [location, setLocation] = useState(null)
+    const [locationStatus, setLocationStatus] = useState('unrequested')
+    const { loadConversation } = useConversations()
+    const recognition = useRef(null)
+
+    useEffect(() => {
+        if (!SpeechRecognition) return
+        recognition.current = new SpeechRecognition()
+        recognition.current.continuous = false
+        recognition.current.interimResults = false
+        recognition.current.maxAlternatives = 1
+        recognition.current.onresult = (event) => {
+            const transcript = event.results[0][0].transcript
+            setInput(prev => (prev ? `${prev} ${transcript}` : transcript))
+        }
+        recognition.current.onerror = (event) => {
+            console.error('Speech recognition error:', event.error)
+            setIsRecording(false)
+        }
+        recognition.current.onend = () => setIsRecording(false)
+        return () => recognition.current?.abort()
+    }, [])
+
+    // Voice input is recognised in the chat language
+    useEffect(() => {
+        if (recognition.current) recognition.current.lang = voiceFor(language).voiceCode
+    }, [language])
+
+    // Stop reading aloud when the chat is closed
+    useEffect(() => () => window.speechSynthesis?.cancel(), [])
+
+    const toggleRecording = () => {
+        if (!recognition.current) return
+        if (isRecording) return recognition.current.stop()
+        try {
+            recognition.current.start()
+            setIsRecording(true)
+        } catch (error) {
+            console.error('Microphone error:', error)
+            setIsRecording(false)
+        }
+    }
+
+    // Reads an answer aloud in the chat language, or stops the current reading
+    const speak = (text) => {
+        const synthesis = window.speechSynthesis
+        if (!synthesis) return
+        if (isSpeaking) {
+            synthesis.cancel()
+            return setIsSpeaking(false)
+        }
+        const voice = voiceFor(language)
+        const voices = synthesis.getVoices()
+        const utterance = new SpeechSynthesisUtterance(toPlainText(text))
+        utterance.voice = voices.find(v => v.lang === voice.voiceCode) || voices.find(v => v.lang.startsWith(language)) || null
+        utterance.lang = voice.voiceCode
+        utterance.rate = voice.rate
+        utterance.onstart = () => setIsSpeaking(true)
+        utterance.onend = () => setIsSpeaking(false)
+        utterance.onerror = () => setIsSpeaking(false)
+        synthesis.speak(utterance)
+    }
+
+    const requestLocation = () => {
+        if (!navigator.geolocation) return setLocationStatus('unsupported')
+        setLocationStatus('requesting')
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setLocation({ lat: position.coords.latitude, lng: position.coords.longitude })
+                setLocationStatus('granted')
+            },
+            (error) => {
+                console.error('Location error:', error)
+                setLocationStatus('denied')
+            },
+            { timeout: 10000 }
+        )
+    }
+
+    const clearLocation = () => {
+        setLocation(null)
+        setLocationStatus('unrequested')
+    }
+
+    const openConversation = async (id) => {
+        const loaded = await loadConversation(id)
+        if (!loaded) return
+        setConversationId(id)
+        setMessages(loaded.messages.map(m => ({ text: m.content, isBot: m.isBot })))
+    }
+
+    const startNewChat = () => {
+        window.speechSynthesis?.cancel()
+        setIsSpeaking(false)
+        setConversationId(null)
+        setMessages([])
+    }
+
+    const addMessage = (message) => setMessages(prev => [...prev, message])
+
+    const send = async (text = input) => {
+        const message = text.trim()
+        if (!message || loading) return
+        addMessage({ text: message, isBot: false })
+        setInput('')
+
+        const reply = bot.intercept?.(message, { location, locationStatus, requestLocation })
+        if (reply) return addMessage({ text: reply, isBot: true })
+
+        setLoading(true)
+        try {
+            // The backend owns the bot's prompt template and the provider keys
+            const { data } = await axiosInstance.post(`/bots/${bot.id}/chat`, {
+                message,
+                language,
+                conversationId,
+                ...(bot.usesLocation && location && { location })
+            })
+            addMessage({ text: data.response, isBot: true, isPrice: data.isPrice })
+            setConversationId(data.conversationId)
+        } catch (error) {
+            addMessage({ text: `Error: ${quotaExceededMessage(error) || error.message}`, isBot: true, error: true })
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return {
+        messages,
+        input,
+        setInput,
+        language,
+        setLanguage,
+        loading,
+        send,
+        conversationId,
+        openConversation,
+        startNewChat,
+        canRecord: Boolean(SpeechRecognition),
+        isRecording,
+        toggleRecording,
+        isSpeaking,
+        speak,
+        location,
+        locationStatus,
+        requestLocation,
+        clearLocation
+    }
+}
+
+export default useChatSession
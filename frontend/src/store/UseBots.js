@@ -0,0 +1,75 @@
+import {create} from 'zustand'
+import axiosInstance from '../utility/axios'
+
+import toast from 'react-hot-toast'
+const useBots=create((set)=>({
+    customBots:[],
+    availableModels:[],
+    isSavingBot:false,
+
+    fetchAvailableModels:async()=>{
+        try {
+            const res=await axiosInstance.get('/bots')
+            set({availableModels:res.data.models})
+
+        } catch (error) {
+            console.log('error while loading models',error)
+        }
+    },
+
+    fetchCustomBots:async()=>{
+        try {
+            const res=await axiosInstance.get('/bots/custom')
+            set({customBots:res.data.bots})
+
+        } catch (error) {
+            console.log('error while loading custom bots',error)
+            set({customBots:[]})
+        }
+    },
+
+    getCustomBot:async(id)=>{
+        try {
+            const res=await axiosInstance.get(`/bots/custom/${id}`)
+            return res.data.bot
+
+        } catch (error) {
+            console.log('error while loading custom bot',error)
+            return null
+        }
+    },
+
+    saveCustomBot:async(data,id)=>{
+        try {
+            set({isSavingBot:true})
+            const res=id
+                ? await axiosInstance.put(`/bots/custom/${id}`,data)
+                : await axiosInstance.post('/bots/custom',data)
+            const bot=res.data.bot
+            set(state=>({customBots:[bot,...state.customBots.filter(b=>b._id!==bot._id)]}))
+            toast.success(id?'Bot updated':'Bot created')
+            return bot
+
+        } catch (error) {
+            toast.error(error.response?.data?.error||'somthing went wrong')
+            return null
+        }
+        finally{
+            set({isSavingBot:false})
+        }
+    },
+
+    deleteCustomBot:async(id)=>{
+        try {
+            await axiosInstance.delete(`/bots/custom/${id}`)
+            set(state=>({customBots:state.customBots.filter(b=>b._id!==id)}))
+            toast.success('Bot deleted')
+
+        } catch (error) {
+            console.log('error while deleting custom bot',error)
+            toast.error('somthing went wrong')
+        }
+    }
+
+}))
+export default useBots
@@ -0,0 +1,85 @@
+import {create} from 'zustand'
+import axiosInstance from '../utility/axios'
+
+import toast from 'react-hot-toast'
+
+// Server messages use { role, content, modelId, latency }; the chat components use { content, isBot, model, responseTime }
+export const toChatMessage = (message) => ({
+    content: message.content,
+    reasoning: message.reasoning,
+    isBot: message.role === 'assistant',
+    model: message.modelId,
+    candidates: message.candidates,
+    candidateResponses: message.candidateResponses?.map(({ modelId, content, latency }) => ({ model: modelId, content, latency })),
+    judge: message.judge,
+    messageId: message._id,
+    responseTime: message.latency
+})
+
+const useConversations=create((set)=>({
+    conversations:[],
+    isLoadingConversations:false,
+
+    fetchConversations:async(bot)=>{
+        try {
+            set({isLoadingConversations:true})
+            const res=await axiosInstance.get('/conversations',{params:{bot}})
+            set({conversations:res.data.conversations})
+
+        } catch (error) {
+            console.log('error while loading conversations',error)
+            set({conversations:[]})
+
+        }
+        finally{
+            set({isLoadingConversations:false})
+        }
+    },
+
+    loadConversation:async(id)=>{
+        try {
+            const res=await axiosInstance.get(`/conversations/${id}`)
+            return {conversation:res.data.conversation,messages:res.data.messages.map(toChatMessage)}
+
+        } catch (error) {
+            console.log('error while loading conversation',error)
+            toast.error('Could not open this chat')
+            return null
+        }
+    },
+
+    createConversation:async(data)=>{
+        try {
+            const res=await axiosInstance.post('/conversations',data)
+            set(state=>({conversations:[res.data.conversation,...state.conversations]}))
+            return res.data.conversation
+
+        } catch (error) {
+            console.log('error while creating conversation',error)
+            return null
+        }
+    },
+
+    appendMessages:async(id,messages)=>{
+        try {
+            await axiosInstance.post(`/conversations/${id}/messages`,{messages})
+
+        } catch (error) {
+            console.log('error while saving messages',error)
+        }
+    },
+
+    deleteConversation:async(id)=>{
+        try {
+            await axiosInstance.delete(`/conversations/${id}`)
+            set(state=>({conversations:state.conversations.filter(c=>c._id!==id)}))
+            toast.success('Chat deleted')
+
+        } catch (error) {
+            console.log('error while deleting conversation',error)
+            toast.error('somthing went wrong')
+        }
+    }
+
+}))
+export default useConversations
@@ -0,0 +1,24 @@
+import {create} from 'zustand'
+import axiosInstance from '../utility/axios'
+
+import toast from 'react-hot-toast'
+const useFeedback=create((set)=>({
+    isSendingFeedback:false,
+
+    sendFeedback:async(data)=>{
+        try {
+            set({isSendingFeedback:true})
+            await axiosInstance.post('/feedback',data)
+            return true
+
+        } catch (error) {
+            console.log('error while sending feedback',error)
+            toast.error(error.response?.data?.msg || 'Could not save feedback')
+            return false
+        } finally {
+            set({isSendingFeedback:false})
+        }
+    }
+}))
+
+export default useFeedback
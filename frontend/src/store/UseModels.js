@@ -0,0 +1,23 @@
+import {create} from 'zustand'
+import axiosInstance from '../utility/axios'
+
+const useModels=create((set)=>({
+    models:[],
+    isLoadingModels:false,
+
+    fetchModels:async()=>{
+        try {
+            set({isLoadingModels:true})
+            const res=await axiosInstance.get('/ml/models')
+            set({models:res.data.models})
+
+        } catch (error) {
+            console.log('error while loading model registry',error)
+            set({models:[]})
+        } finally {
+            set({isLoadingModels:false})
+        }
+    }
+}))
+
+export default useModels
@@ -0,0 +1,24 @@
+import {create} from 'zustand'
+import axiosInstance from '../utility/axios'
+
+import toast from 'react-hot-toast'
+const useUsage=create((set)=>({
+    usage:null,
+    isLoadingUsage:false,
+
+    fetchUsage:async(days=30)=>{
+        try {
+            set({isLoadingUsage:true})
+            const res=await axiosInstance.get('/usage',{params:{days}})
+            set({usage:res.data})
+
+        } catch (error) {
+            console.log('error while loading usage',error)
+            toast.error('Could not load usage')
+        } finally {
+            set({isLoadingUsage:false})
+        }
+    }
+}))
+
+export default useUsage
@@ -0,0 +1,6 @@
+// Compact USD figure for a response's `cost` ({ usd, estimated }); tiny amounts keep their significant digits
+export const formatCost = (cost) => {
+    if (!cost || typeof cost.usd !== 'number') return null
+    const amount = cost.usd === 0 ? '$0' : cost.usd < 0.01 ? `$${cost.usd.toPrecision(2)}` : `$${cost.usd.toFixed(2)}`
+    return cost.estimated ? `~${amount}` : amount
+}
@@ -0,0 +1,17 @@
+// Advanced generation settings as typed in the chat UI; blank means the server default
+export const EMPTY_SETTINGS = { temperature: '', top_p: '', max_tokens: '', stop: '', seed: '', system: '' }
+
+// Request fields for the settings the user filled in
+export const generationParams = (settings) => {
+    const params = {}
+    for (const key of ['temperature', 'top_p']) {
+        if (settings[key] !== '') params[key] = parseFloat(settings[key])
+    }
+    for (const key of ['max_tokens', 'seed']) {
+        if (settings[key] !== '') params[key] = parseInt(settings[key], 10)
+    }
+    const stop = settings.stop.split('\n').filter(Boolean)
+    if (stop.length) params.stop = stop
+    if (settings.system.trim()) params.system = settings.system.trim()
+    return params
+}
@@ -0,0 +1,21 @@
+// Answer languages the server accepts as `language`, with the speech recognition/synthesis locale and reading rate
+export const LANGUAGES = {
+    en: { code: 'en', name: 'English', native: 'English', voiceCode: 'en-US', rate: 1.0 },
+    hi: { code: 'hi', name: 'Hindi', native: 'हिन्दी', voiceCode: 'hi-IN', rate: 0.9 },
+    te: { code: 'te', name: 'Telugu', native: 'తెలుగు', voiceCode: 'te-IN', rate: 0.85 },
+    ta: { code: 'ta', name: 'Tamil', native: 'தமிழ்', voiceCode: 'ta-IN', rate: 0.85 },
+    ur: { code: 'ur', name: 'Urdu', native: 'اردو', voiceCode: 'ur-PK', rate: 0.8 },
+    ar: { code: 'ar', name: 'Arabic', native: 'العربية', voiceCode: 'ar-SA', rate: 0.9 }
+}
+
+const nameOf = (code) => LANGUAGES[code]?.name || code || 'another language'
+
+// Short note on how the server held an answer to the requested language (the response's `language`),
+// or null when the answer came back in the right language first time
+export const languageNote = (language) => {
+    if (!language) return null
+    if (language.action === 'translated') return `translated from ${nameOf(language.translatedFrom)}`
+    if (language.action === 'retried') return `asked again for ${nameOf(language.requested)}`
+    if (language.mismatch) return `answered in ${nameOf(language.detected)}`
+    return null
+}
@@ -0,0 +1,46 @@
+import { unified } from 'unified'
+import remarkParse from 'remark-parse'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize'
+import rehypeKatex from 'rehype-katex'
+import rehypeHighlight from 'rehype-highlight'
+
+// Model answers are untrusted: raw HTML is never rendered and the sanitizer runs before the
+// math and highlighting plugins, so only their own markup gets past it
+const schema = {
+    ...defaultSchema,
+    attributes: {
+        ...defaultSchema.attributes,
+        code: [['className', /^language-./, 'math-inline', 'math-display']]
+    }
+}
+
+export const REMARK_PLUGINS = [remarkGfm, remarkMath]
+export const REHYPE_PLUGINS = [[rehypeSanitize, schema], rehypeKatex, rehypeHighlight]
+
+const parser = unified().use(remarkParse).use(REMARK_PLUGINS)
+
+// Block nodes end in a line break so sentences don't run together when read aloud
+const BLOCKS = ['paragraph', 'heading', 'listItem', 'blockquote']
+
+const project = (node) => {
+    switch (node.type) {
+        case 'text':
+        case 'inlineCode': return node.value
+        case 'code': return 'Code block omitted.\n'
+        case 'math': return 'Formula.\n'
+        case 'inlineMath': return 'formula'
+        case 'image': return node.alt || ''
+        case 'break': return '\n'
+        case 'tableRow': return `${node.children.map(project).join(', ')}.\n`
+        default: {
+            const text = (node.children || []).map(project).join('')
+            return BLOCKS.includes(node.type) ? `${text.trim()}\n` : text
+        }
+    }
+}
+
+// Plain-text projection of a Markdown answer for speech: same parse as the renderer, without the markup
+export const toPlainText = (markdown = '') =>
+    project(parser.parse(markdown)).replace(/\n{2,}/g, '\n').trim()
@@ -0,0 +1,10 @@
+// Human readable text for a 429 quota response, or null for any other error.
+// Works with axios errors (error.response) and streamSSE errors (error.status / error.data).
+export const quotaExceededMessage = (error) => {
+    const status = error?.status ?? error?.response?.status
+    const data = error?.data ?? error?.response?.data
+    if (status !== 429 || !data) return null
+
+    const resetAt = data.resetAt ? new Date(data.resetAt).toLocaleString() : null
+    return resetAt ? `${data.error}. It resets on ${resetAt}.` : data.error
+}
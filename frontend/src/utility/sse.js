@@ -0,0 +1,45 @@
+import axiosInstance from './axios'
+
+// POST a JSON body and read the Server-Sent Events reply, calling onEvent(event, data) per message.
+// axios can't expose a streaming body in the browser, so this uses fetch directly.
+export const streamSSE = async (path, body, { signal, onEvent }) => {
+    const res = await fetch(`${axiosInstance.defaults.baseURL}${path}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({ ...body, stream: true }),
+        signal
+    })
+
+    if (!res.ok || !res.body) {
+        // Keep the server's JSON error (e.g. a 429 quota reply) available to the caller
+        const data = await res.json().catch(() => null)
+        const error = new Error(data?.error || data?.msg || `Request failed with status ${res.status}`)
+        error.status = res.status
+        error.data = data
+        throw error
+    }
+
+    const reader = res.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    for (;;) {
+        const { done, value } = await reader.read()
+        if (done) break
+
+        buffer += decoder.decode(value, { stream: true })
+        const frames = buffer.split('\n\n')
+        buffer = frames.pop()
+
+        for (const frame of frames) {
+            let event = 'message'
+            let data = ''
+            for (const line of frame.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim()
+                else if (line.startsWith('data:')) data += line.slice(5).trim()
+            }
+            if (data) onEvent(event, JSON.parse(data))
+        }
+    }
+}